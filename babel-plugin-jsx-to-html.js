@@ -76,9 +76,8 @@ function jsxToInlineTemplate(node, t) {
   // 处理属性
   for (let attr of openingElement.attributes) {
     if (t.isJSXAttribute(attr)) {
-      const attrName = attr.name.name;
       const attrValue = attr.value;
-      const htmlAttrName = attrName === 'className' ? 'class' : attrName;
+      const htmlAttrName = getHtmlAttrName(attr.name, t);
       
       if (!attrValue) {
         currentString += ` ${htmlAttrName}`;
@@ -171,9 +170,8 @@ function jsxToTemplateExpression(node, t) {
   // 处理属性（简化版本）
   for (let attr of openingElement.attributes) {
     if (t.isJSXAttribute(attr)) {
-      const attrName = attr.name.name;
       const attrValue = attr.value;
-      const htmlAttrName = attrName === 'className' ? 'class' : attrName;
+      const htmlAttrName = getHtmlAttrName(attr.name, t);
       
       if (!attrValue) {
         currentString += ` ${htmlAttrName}`;
@@ -360,6 +358,48 @@ function createHCall(node, t) {
   );
 }
 
+// 事件修饰符中不是按键名的部分，其余部分（如 page-down）作为按键名保留短横线
+const EVENT_OPTION_MODIFIERS = ['prevent', 'stop', 'self', 'once', 'capture', 'passive', 'ctrl', 'alt', 'shift', 'meta'];
+
+/**
+ * 拆分事件修饰符：只在已知修饰符处拆分，
+ * onKeydown:page-down-prevent → ['page-down', 'prevent']
+ */
+function splitEventModifiers(local) {
+  const modifiers = [];
+  let key = [];
+  for (const part of local.split('-')) {
+    if (EVENT_OPTION_MODIFIERS.includes(part)) {
+      if (key.length) modifiers.push(key.join('-'));
+      key = [];
+      modifiers.push(part);
+    } else {
+      key.push(part);
+    }
+  }
+  if (key.length) modifiers.push(key.join('-'));
+  return modifiers;
+}
+
+/**
+ * 获取 HTML 属性名：className → class，model:lazy-trim → model.lazy.trim，
+ * onClick:prevent-stop → onClick.prevent.stop，onKeydown:page-down → onKeydown.page-down
+ */
+function getHtmlAttrName(name, t) {
+  if (t.isJSXNamespacedName(name)) {
+    const namespace = name.namespace.name;
+    const local = name.name.name;
+    if (namespace === 'model') {
+      return `model.${local.split('-').join('.')}`;
+    }
+    if (/^on[A-Za-z]/.test(namespace)) {
+      return `${namespace}.${splitEventModifiers(local).join('.')}`;
+    }
+    return `${namespace}:${local}`;
+  }
+  return name.name === 'className' ? 'class' : name.name;
+}
+
 /**
  * 获取标签名（首字母大写保持原样作为webcomponent）
  */
@@ -64,114 +64,466 @@
     // ========== 响应式系统核心 ==========
 
     let currentEffect = null;
+    // 为 false 时读取响应式数据不收集依赖（untrack / peek）
+    let shouldTrack = true;
     const targetMap = new WeakMap();
+    // 调度队列：queue 为按顺序排列的任务，updateQueue 用于去重
+    const queue = [];
     const updateQueue = new Set();
+    const postFlushQueue = new Set();
     let isFlushPending = false;
+    let isFlushing = false;
+    let flushIndex = 0;
+    const resolvedPromise = Promise.resolve();
+    let currentFlushPromise = null;
+    // 同一轮刷新中单个任务允许的最大执行次数
+    const RECURSION_LIMIT = 100;
+    // 批处理嵌套深度，以及批处理期间暂存的同步任务
+    let batchDepth = 0;
+    const pendingSyncJobs = new Set();
+
+    // 全局配置
+    const config = {
+        // 未被 onErrorCaptured 拦截的错误处理函数：(err, instance, info) => void
+        errorHandler: null
+    };
 
-    // 缓存响应式代理，避免重复创建
+    // 缓存响应式代理，避免重复创建（深层 / 浅层 / 只读各自缓存）
     const reactiveMap = new WeakMap();
+    const shallowReactiveMap = new WeakMap();
+    const readonlyMap = new WeakMap();
     // 存储对象的父级信息
     const parentMap = new WeakMap();
     // 缓存 setup 函数参数解析结果
     const functionParamsCache = new WeakMap();
+    // 集合迭代（size / forEach / keys / values / entries）及对象键遍历的依赖标记
+    const ITERATE_KEY = Symbol('iterate');
+    // 只代理这些类型，Date、RegExp、Promise、DOM 节点等保持原样
+    const PROXYABLE_TYPES = new Set(['Object', 'Array', 'Map', 'Set', 'WeakMap', 'WeakSet']);
+    const COLLECTION_TYPES = new Set(['Map', 'Set', 'WeakMap', 'WeakSet']);
+    const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'];
+    // 按元素身份查找的方法，需要同时支持原始对象和代理对象作为参数
+    const ARRAY_SEARCH_METHODS = ['includes', 'indexOf', 'lastIndexOf'];
 
     function reactive(obj, parentTarget = null, parentKey = null) {
+        return createReactiveObject(obj, false, false, reactiveMap, parentTarget, parentKey);
+    }
+
+    /**
+     * 浅层响应式 - 只追踪根级属性，嵌套对象原样返回，不做代理
+     */
+    function shallowReactive(obj) {
+        return createReactiveObject(obj, false, true, shallowReactiveMap);
+    }
+
+    /**
+     * 只读代理 - 读取时照常追踪依赖（原对象被修改时依然能通知读取者），任何写入都会被拒绝并警告
+     */
+    function readonly(obj) {
+        return createReactiveObject(obj, true, false, readonlyMap);
+    }
+
+    /**
+     * 标记对象永远不被代理（如第三方类实例、大型不可变数据）
+     */
+    function markRaw(obj) {
+        if (obj && typeof obj === 'object' && Object.isExtensible(obj)) {
+            Object.defineProperty(obj, '__skip', { value: true, configurable: true });
+        }
+        return obj;
+    }
+
+    /**
+     * 获取响应式代理对应的原始对象
+     */
+    function toRaw(value) {
+        const raw = value && value.__raw;
+        return raw ? toRaw(raw) : value;
+    }
+
+    function isReactive(value) {
+        return !!(value && value.__isReactive);
+    }
+
+    function isReadonly(value) {
+        return !!(value && value.__isReadonly);
+    }
+
+    function isProxy(value) {
+        return !!(value && value.__raw);
+    }
+
+    /**
+     * 取对象的类型标签（Object、Map、Set 等）；不依赖 instanceof，其他 realm（iframe、vm）创建的对象也能正确识别
+     */
+    function toRawType(obj) {
+        return Object.prototype.toString.call(obj).slice(8, -1);
+    }
+
+    function canProxy(obj) {
+        if (obj.__skip || !Object.isExtensible(obj)) return false;
+        return PROXYABLE_TYPES.has(toRawType(obj));
+    }
+
+    function createReactiveObject(obj, isReadonlyProxy, isShallow, proxyMap, parentTarget = null, parentKey = null) {
         if (!obj || typeof obj !== 'object') return obj;
-        if (obj.__isReactive) return obj;
 
-        // 如果已经创建过代理，更新父级信息并返回
-        if (reactiveMap.has(obj)) {
-            const proxy = reactiveMap.get(obj);
-            // 更新父级信息
-            if (parentTarget && parentKey !== null) {
-                parentMap.set(obj, { parentTarget, parentKey });
-            }
-            return proxy;
+        if (isProxy(obj)) {
+            // 对响应式代理再包一层只读时，直接基于原始对象创建
+            if (!isReadonlyProxy || obj.__isReadonly) return obj;
+            obj = toRaw(obj);
         }
 
-        // 存储父级信息
+        if (!canProxy(obj)) return obj;
+
+        // 存储（或更新）父级信息
         if (parentTarget && parentKey !== null) {
             parentMap.set(obj, { parentTarget, parentKey });
         }
 
-        const proxy = new Proxy(obj, {
-            get(target, key) {
-                if (key === '__isReactive') return true;
+        // 如果已经创建过代理，直接返回
+        const existing = proxyMap.get(obj);
+        if (existing) return existing;
+
+        // Map / Set / WeakMap / WeakSet 使用集合专用的拦截器
+        const handlers = isCollection(obj)
+            ? (isReadonlyProxy ? readonlyCollectionHandlers : isShallow ? shallowCollectionHandlers : mutableCollectionHandlers)
+            : (isReadonlyProxy ? readonlyHandlers : isShallow ? shallowHandlers : mutableHandlers);
+
+        const proxy = new Proxy(obj, handlers);
+        proxyMap.set(obj, proxy);
+        return proxy;
+    }
+
+    /**
+     * 对只读代理的写操作给出警告
+     */
+    function warnReadonly(target, key) {
+        console.warn(`无法修改只读对象的属性 "${String(key)}"`, target);
+    }
+
+    /**
+     * 数组方法拦截
+     * - 变异方法通过代理执行，每次写入都经过 set 拦截，只触发真正变化的下标和 length
+     * - 查找方法先按传入的参数查找，找不到时再用原始对象重试
+     */
+    function createArrayInstrumentations(isReadonlyProxy) {
+        const instrumentations = {};
+        ARRAY_MUTATORS.forEach(method => {
+            instrumentations[method] = function (...args) {
+                if (isReadonlyProxy) {
+                    warnReadonly(toRaw(this), method);
+                    return undefined;
+                }
+
+                // 方法内部会读取 length 和元素，暂停依赖收集，避免调用方的 effect 订阅自身的修改；
+                // 批处理使同步侦听器在整个方法执行完后只运行一次
+                return untrack(() => runBatched(() => Array.prototype[method].apply(this, args)));
+            };
+        });
+        ARRAY_SEARCH_METHODS.forEach(method => {
+            instrumentations[method] = function (...args) {
+                const raw = toRaw(this);
+                track(raw, 'length');
+                for (let i = 0; i < raw.length; i++) {
+                    track(raw, String(i));
+                }
+
+                const result = Array.prototype[method].apply(raw, args);
+                if (result === -1 || result === false) {
+                    // 参数可能是代理对象，而数组中保存的是原始对象
+                    return Array.prototype[method].apply(raw, args.map(toRaw));
+                }
+                return result;
+            };
+        });
+        return instrumentations;
+    }
+
+    function createBaseHandlers(isReadonlyProxy, isShallow) {
+        const arrayInstrumentations = createArrayInstrumentations(isReadonlyProxy);
+
+        return {
+            get(target, key, receiver) {
+                if (key === '__isReactive') return !isReadonlyProxy;
+                if (key === '__isReadonly') return isReadonlyProxy;
+                if (key === '__isShallow') return isShallow;
                 if (key === '__raw') return target;
 
-                // 追踪访问
+                // 拦截数组的变异方法
+                if (Array.isArray(target) && Object.prototype.hasOwnProperty.call(arrayInstrumentations, key)) {
+                    return arrayInstrumentations[key];
+                }
+
+                // 追踪访问（数组按下标和 length 分别追踪）
                 track(target, key);
 
-                // 对于数组，额外追踪一个特殊的依赖标记
-                if (Array.isArray(target)) {
-                    track(target, '__array__');
-                }
+                const value = Reflect.get(target, key, receiver);
 
-                const value = target[key];
+                // 浅层代理不处理嵌套对象
+                if (isShallow || !value || typeof value !== 'object') return value;
 
                 // 递归代理嵌套对象，传递父级信息
-                return value && typeof value === 'object' ? reactive(value, target, key) : value;
+                return isReadonlyProxy ? readonly(value) : reactive(value, target, key);
             },
             set(target, key, value) {
+                if (isReadonlyProxy) {
+                    warnReadonly(target, key);
+                    return true;
+                }
+
+                // 深层响应式对象中保存原始值，读取时再按需代理（数组方法写回的元素也是代理）
+                if (!isShallow && isProxy(value) && !value.__isShallow && !value.__isReadonly) {
+                    value = toRaw(value);
+                }
+
+                const isArray = Array.isArray(target);
+                const oldLength = isArray ? target.length : 0;
+                const hadKey = Object.prototype.hasOwnProperty.call(target, key);
                 const oldValue = target[key];
                 target[key] = value;
 
                 // 只在值真正改变时触发
-                if (oldValue !== value || (typeof value === 'object' && value !== null)) {
+                if (!hadKey || oldValue !== value || (typeof value === 'object' && value !== null)) {
                     trigger(target, key);
 
-                    // 数组长度变化时，触发数组依赖
-                    if (Array.isArray(target) && key === 'length') {
-                        trigger(target, '__array__');
+                    if (isArray) {
+                        if (key === 'length') {
+                            // 缩短数组时，被移除的下标也要通知
+                            for (let i = target.length; i < oldLength; i++) {
+                                trigger(target, String(i));
+                            }
+                        } else if (target.length !== oldLength) {
+                            // 通过下标新增元素改变了 length
+                            trigger(target, 'length');
+                        }
+                    } else if (!hadKey) {
+                        // 新增属性会改变键的集合，通知 Object.keys / for...in 的读取者
+                        trigger(target, ITERATE_KEY);
                     }
 
                     // 如果这个对象是某个对象的属性（如 state.value），也触发父对象
-                    const parentInfo = parentMap.get(target);
-                    if (parentInfo) {
-                        trigger(parentInfo.parentTarget, parentInfo.parentKey);
-                    }
+                    triggerParent(target);
                 }
 
                 return true;
+            },
+            deleteProperty(target, key) {
+                if (isReadonlyProxy) {
+                    warnReadonly(target, key);
+                    return true;
+                }
+
+                const hadKey = Object.prototype.hasOwnProperty.call(target, key);
+                const result = delete target[key];
+
+                if (hadKey && result) {
+                    trigger(target, key);
+                    // 删除数组元素不改变 length，只影响该下标
+                    if (!Array.isArray(target)) {
+                        trigger(target, ITERATE_KEY);
+                    }
+                    triggerParent(target);
+                }
+
+                return result;
+            },
+            has(target, key) {
+                track(target, key);
+                return key in target;
+            },
+            ownKeys(target) {
+                // 数组的键由 length 决定；普通对象追踪迭代标记
+                track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+                return Reflect.ownKeys(target);
             }
-        });
+        };
+    }
 
-        // 拦截数组的变异方法
-        if (Array.isArray(obj)) {
-            const arrayMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'];
-            arrayMethods.forEach(method => {
-                const original = Array.prototype[method];
-                Object.defineProperty(proxy, method, {
-                    value: function (...args) {
-                        // 在原始对象上调用方法
-                        const raw = this.__raw || obj;
-                        const result = original.apply(raw, args);
-
-                        // 触发数组自身的依赖
-                        trigger(obj, '__array__');
-                        trigger(obj, 'length');
-
-                        // 如果数组是某个对象的属性，也触发父对象的依赖
-                        const parentInfo = parentMap.get(obj);
-                        if (parentInfo) {
-                            trigger(parentInfo.parentTarget, parentInfo.parentKey);
-                        }
+    const mutableHandlers = createBaseHandlers(false, false);
+    const shallowHandlers = createBaseHandlers(false, true);
+    const readonlyHandlers = createBaseHandlers(true, false);
 
-                        return result;
-                    },
-                    enumerable: false,
-                    configurable: true,
-                    writable: true
-                });
-            });
+    /**
+     * 触发父对象上对应属性的依赖（嵌套对象变化时冒泡一层）
+     */
+    function triggerParent(target) {
+        const parentInfo = parentMap.get(target);
+        if (parentInfo) {
+            trigger(parentInfo.parentTarget, parentInfo.parentKey);
         }
+    }
 
-        reactiveMap.set(obj, proxy);
-        return proxy;
+    function isCollection(obj) {
+        return COLLECTION_TYPES.has(toRawType(obj));
+    }
+
+    // ========== 集合（Map / Set / WeakMap / WeakSet）响应式 ==========
+
+    // 集合方法内部依赖 this 为原始对象，因此读写都在原始对象上进行，并手动 track / trigger
+    function createCollectionInstrumentations(isReadonlyProxy, isShallow) {
+        /**
+         * 包装从集合中取出的对象，父级指向集合本身，使嵌套修改能通知到集合的读取者
+         */
+        const wrap = (target, value, key) => {
+            if (isShallow || !value || typeof value !== 'object') return value;
+            if (isReadonlyProxy) return readonly(value);
+            // Set 没有键，嵌套修改通知迭代依赖
+            return reactive(value, target, toRawType(target).endsWith('Map') ? key : ITERATE_KEY);
+        };
+
+        const instrumentations = {
+            get(key) {
+                const target = toRaw(this);
+                const rawKey = toRaw(key);
+                track(target, rawKey);
+                return wrap(target, target.get(rawKey), rawKey);
+            },
+            has(key) {
+                const target = toRaw(this);
+                const rawKey = toRaw(key);
+                track(target, rawKey);
+                return target.has(rawKey);
+            },
+            forEach(callback, thisArg) {
+                const target = toRaw(this);
+                const proxy = this;
+                track(target, ITERATE_KEY);
+                target.forEach((value, key) => {
+                    callback.call(thisArg, wrap(target, value, key), wrap(target, key, key), proxy);
+                });
+            },
+            set(key, value) {
+                const target = toRaw(this);
+                const rawKey = toRaw(key);
+                if (isReadonlyProxy) {
+                    warnReadonly(target, rawKey);
+                    return this;
+                }
+
+                const rawValue = toRaw(value);
+                const hadKey = target.has(rawKey);
+                const oldValue = target.get(rawKey);
+                target.set(rawKey, rawValue);
+
+                if (!hadKey || oldValue !== rawValue || (typeof rawValue === 'object' && rawValue !== null)) {
+                    trigger(target, rawKey);
+                    // 新增键或值变化都会影响迭代结果
+                    trigger(target, ITERATE_KEY);
+                    triggerParent(target);
+                }
+                return this;
+            },
+            add(value) {
+                const target = toRaw(this);
+                const rawValue = toRaw(value);
+                if (isReadonlyProxy) {
+                    warnReadonly(target, rawValue);
+                    return this;
+                }
+
+                if (!target.has(rawValue)) {
+                    target.add(rawValue);
+                    trigger(target, rawValue);
+                    trigger(target, ITERATE_KEY);
+                    triggerParent(target);
+                }
+                return this;
+            },
+            delete(key) {
+                const target = toRaw(this);
+                const rawKey = toRaw(key);
+                if (isReadonlyProxy) {
+                    warnReadonly(target, rawKey);
+                    return false;
+                }
+
+                const result = target.delete(rawKey);
+                if (result) {
+                    trigger(target, rawKey);
+                    trigger(target, ITERATE_KEY);
+                    triggerParent(target);
+                }
+                return result;
+            },
+            clear() {
+                const target = toRaw(this);
+                if (isReadonlyProxy) {
+                    warnReadonly(target, 'clear');
+                    return;
+                }
+                if (target.size === 0) return;
+                target.clear();
+
+                // 清空会影响所有键，触发该集合上的全部依赖
+                const depsMap = targetMap.get(target);
+                if (depsMap) {
+                    Array.from(depsMap.keys()).forEach(key => trigger(target, key));
+                }
+                triggerParent(target);
+            }
+        };
+
+        ['keys', 'values', 'entries', Symbol.iterator].forEach(method => {
+            instrumentations[method] = function (...args) {
+                const target = toRaw(this);
+                const isPair = method === 'entries' || (method === Symbol.iterator && toRawType(target) === 'Map');
+                const isKeys = method === 'keys' && toRawType(target) === 'Map';
+                const innerIterator = target[method](...args);
+                track(target, ITERATE_KEY);
+
+                return {
+                    next() {
+                        const { value, done } = innerIterator.next();
+                        if (done) return { value, done };
+                        if (isPair) {
+                            return {
+                                value: [wrap(target, value[0], value[0]), wrap(target, value[1], value[0])],
+                                done
+                            };
+                        }
+                        return { value: wrap(target, value, isKeys ? value : ITERATE_KEY), done };
+                    },
+                    [Symbol.iterator]() {
+                        return this;
+                    }
+                };
+            };
+        });
+
+        return instrumentations;
+    }
+
+    function createCollectionHandlers(isReadonlyProxy, isShallow) {
+        const instrumentations = createCollectionInstrumentations(isReadonlyProxy, isShallow);
+
+        return {
+            get(target, key, receiver) {
+                if (key === '__isReactive') return !isReadonlyProxy;
+                if (key === '__isReadonly') return isReadonlyProxy;
+                if (key === '__isShallow') return isShallow;
+                if (key === '__raw') return target;
+
+                if (key === 'size') {
+                    track(target, ITERATE_KEY);
+                    return target.size;
+                }
+
+                if (Object.prototype.hasOwnProperty.call(instrumentations, key) && key in target) {
+                    return instrumentations[key];
+                }
+
+                return Reflect.get(target, key, receiver);
+            }
+        };
     }
 
+    const mutableCollectionHandlers = createCollectionHandlers(false, false);
+    const shallowCollectionHandlers = createCollectionHandlers(false, true);
+    const readonlyCollectionHandlers = createCollectionHandlers(true, false);
+
     function track(target, key) {
-        if (!currentEffect) return;
+        if (!currentEffect || !shouldTrack) return;
 
         let depsMap = targetMap.get(target);
         if (!depsMap) {
@@ -197,25 +549,215 @@
 
         const deps = depsMap.get(key);
         if (deps) {
-            deps.forEach(effect => {
+            // 复制一份再遍历，避免执行过程中依赖集合被修改
+            new Set(deps).forEach(effect => {
                 if (effect !== currentEffect) {
-                    queueJob(effect);
+                    if (effect.scheduler) {
+                        effect.scheduler();
+                    } else {
+                        queueJob(effect);
+                    }
                 }
             });
         }
     }
 
+    /**
+     * 任务排序依据：pre 侦听器最先执行，组件按树深度执行（父组件先于子组件），其余任务最后
+     */
+    function getJobOrder(job) {
+        if (job.pre) return -1;
+        return job.depth == null ? Infinity : job.depth;
+    }
+
     function queueJob(job) {
+        if (updateQueue.has(job)) return;
         updateQueue.add(job);
-        if (!isFlushPending) {
+
+        // 按顺序插入；刷新过程中只能插到当前任务之后
+        const order = getJobOrder(job);
+        const start = isFlushing ? flushIndex + 1 : 0;
+        let i = queue.length;
+        while (i > start && getJobOrder(queue[i - 1]) > order) {
+            i--;
+        }
+        queue.splice(i, 0, job);
+        queueFlush();
+    }
+
+    /**
+     * 加入 DOM 更新完成后执行的回调队列（用于 flush: 'post' 的侦听器）
+     */
+    function queuePostFlushCb(cb) {
+        postFlushQueue.add(cb);
+        queueFlush();
+    }
+
+    function queueFlush() {
+        if (!isFlushPending && !isFlushing) {
             isFlushPending = true;
-            Promise.resolve().then(() => {
-                const jobs = Array.from(updateQueue);
-                updateQueue.clear();
-                isFlushPending = false;
-                jobs.forEach(job => job());
-            });
+            currentFlushPromise = resolvedPromise.then(flushJobs);
+        }
+    }
+
+    function flushJobs() {
+        // batch({ flush: 'sync' }) 已提前同步刷新时，微任务中的这次刷新无事可做
+        if (!isFlushPending) return;
+        isFlushPending = false;
+        isFlushing = true;
+        // 记录本轮刷新中每个任务的执行次数，用于检测无限递归更新
+        const seen = new Map();
+
+        try {
+            // 刷新过程中新加入的任务（包括 post 回调触发的更新）在同一轮中继续执行
+            while (queue.length || postFlushQueue.size) {
+                for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+                    const job = queue[flushIndex];
+                    updateQueue.delete(job);
+                    if (!checkRecursiveUpdates(seen, job)) {
+                        // 单个任务出错不影响同一轮中的其他更新
+                        callWithErrorHandling(job, job.owner || null, 'scheduler');
+                    }
+                }
+                queue.length = 0;
+                flushIndex = 0;
+
+                // DOM 更新完成后再执行 post 回调
+                const callbacks = Array.from(postFlushQueue);
+                postFlushQueue.clear();
+                callbacks.forEach(cb => {
+                    if (!checkRecursiveUpdates(seen, cb)) {
+                        callWithErrorHandling(cb, cb.owner || null, 'scheduler');
+                    }
+                });
+            }
+        } finally {
+            queue.length = 0;
+            updateQueue.clear();
+            postFlushQueue.clear();
+            flushIndex = 0;
+            isFlushing = false;
+            currentFlushPromise = null;
+        }
+    }
+
+    /**
+     * 执行函数并捕获错误，交给 handleError 处理
+     */
+    function callWithErrorHandling(fn, instance, info, args) {
+        try {
+            return args ? fn(...args) : fn();
+        } catch (err) {
+            handleError(err, instance, info);
+        }
+    }
+
+    /**
+     * 错误处理：沿祖先组件依次调用 onErrorCaptured 钩子，钩子返回 false 时停止冒泡；
+     * 未被拦截的错误交给 config.errorHandler，未配置时输出到控制台
+     * @param {any} err - 错误
+     * @param {HTMLElement|null} instance - 出错的组件
+     * @param {string} info - 出错位置（setup / render / watcher callback 等）
+     */
+    function handleError(err, instance, info) {
+        let ancestor = instance ? getParentComponent(instance) : null;
+        while (ancestor) {
+            const hooks = ancestor._errorCapturedHooks || [];
+            for (let i = 0; i < hooks.length; i++) {
+                let captured;
+                try {
+                    captured = hooks[i](err, instance, info);
+                } catch (hookErr) {
+                    console.error('onErrorCaptured 钩子执行出错:', hookErr);
+                }
+                if (captured === false) return;
+            }
+            ancestor = getParentComponent(ancestor);
+        }
+
+        if (typeof config.errorHandler === 'function') {
+            try {
+                config.errorHandler(err, instance, info);
+                return;
+            } catch (handlerErr) {
+                console.error('config.errorHandler 执行出错:', handlerErr);
+            }
+        }
+
+        const where = instance ? `组件 <${instance.tagName.toLowerCase()}> 的 ${info}` : info;
+        console.error(`${where} 中出现未捕获的错误:`, err);
+    }
+
+    /**
+     * 同一轮刷新中任务执行次数超过上限时，认为出现了无限递归更新，中止该任务
+     */
+    function checkRecursiveUpdates(seen, job) {
+        const count = (seen.get(job) || 0) + 1;
+        seen.set(job, count);
+        if (count <= RECURSION_LIMIT) return false;
+
+        if (count === RECURSION_LIMIT + 1) {
+            const name = job.owner ? `组件 <${job.owner.tagName.toLowerCase()}>` : '某个 effect / 侦听器';
+            handleError(new Error(
+                `检测到无限递归更新：${name} 在一次刷新中执行超过 ${RECURSION_LIMIT} 次，已中止。\n` +
+                '这通常是因为渲染函数或侦听器修改了会再次触发自身的状态。'
+            ), job.owner || null, 'scheduler');
+        }
+        return true;
+    }
+
+    /**
+     * 同步任务：批处理期间暂存，批处理结束时统一执行一次
+     */
+    function queueSyncJob(job) {
+        if (batchDepth > 0) {
+            pendingSyncJobs.add(job);
+        } else {
+            job();
+        }
+    }
+
+    /**
+     * 在批处理中执行函数：期间的同步侦听器等任务合并到结束时执行
+     */
+    function runBatched(fn) {
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            batchDepth--;
+            if (batchDepth === 0 && pendingSyncJobs.size) {
+                const jobs = Array.from(pendingSyncJobs);
+                pendingSyncJobs.clear();
+                jobs.forEach(job => callWithErrorHandling(job, job.owner || null, 'scheduler'));
+            }
+        }
+    }
+
+    /**
+     * 批量更新 - fn 中的多次状态修改合并为一次刷新
+     * @param {Function} fn - 执行状态修改的函数
+     * @param {object} [options]
+     * @param {'sync'} [options.flush] - 为 'sync' 时在 batch 结束时同步完成 DOM 更新，而不是等到微任务
+     * @returns {any} fn 的返回值
+     */
+    function batch(fn, options = {}) {
+        const result = runBatched(fn);
+        // 嵌套 batch 只在最外层刷新；正在刷新时新任务会在本轮中执行
+        if (options.flush === 'sync' && batchDepth === 0 && !isFlushing) {
+            flushJobs();
         }
+        return result;
+    }
+
+    /**
+     * 等待下一次 DOM 更新完成
+     * @param {Function} [fn] - 更新完成后执行的回调
+     * @returns {Promise} DOM 更新完成后 resolve
+     */
+    function nextTick(fn) {
+        const p = currentFlushPromise || resolvedPromise;
+        return fn ? p.then(fn) : p;
     }
 
     function cleanupEffect(effect) {
@@ -225,95 +767,488 @@
         }
     }
 
-    function effect(fn) {
+    /**
+     * 执行 effect 内通过 onCleanup 注册的清理函数
+     */
+    function runEffectCleanups(effect) {
+        if (effect.cleanups.length) {
+            const cleanups = effect.cleanups.slice();
+            effect.cleanups.length = 0;
+            cleanups.forEach(fn => fn());
+        }
+    }
+
+    /**
+     * 创建副作用
+     * @param {Function} fn - 副作用函数
+     * @param {object} [options]
+     * @param {boolean} [options.lazy] - 为 true 时不立即执行
+     * @param {Function} [options.scheduler] - 依赖变化时调用，替代默认的 queueJob
+     * @param {Function} [options.onStop] - effect 停止时调用
+     * @returns {Function} effect 执行函数，带有 stop() 方法
+     */
+    function effect(fn, options = {}) {
         const effectFn = () => {
+            // 已停止的 effect 不再执行，也不再收集依赖
+            if (!effectFn.active) return;
+
+            runEffectCleanups(effectFn);
             cleanupEffect(effectFn);
             const prevEffect = currentEffect;
+            const prevShouldTrack = shouldTrack;
             currentEffect = effectFn;
+            // 在 untrack 中读取计算属性时，计算属性自身仍需收集依赖
+            shouldTrack = true;
             try {
                 return fn();
             } finally {
                 currentEffect = prevEffect;
+                shouldTrack = prevShouldTrack;
             }
         };
 
         effectFn.deps = [];
-        effectFn();
+        effectFn.cleanups = [];
+        effectFn.active = true;
+        effectFn.scheduler = options.scheduler || null;
+        effectFn.onStop = options.onStop || null;
+        effectFn.stop = () => stop(effectFn);
+        recordEffectScope(effectFn);
+        if (!options.lazy) {
+            effectFn();
+        }
         return effectFn;
     }
 
-    // ========== 模板引擎核心 ==========
-
-    const MARKER_PREFIX = '{{lit-';
-    const MARKER_SUFFIX = '}}';
-    const MARKER_REGEX = new RegExp(MARKER_PREFIX + '(\\d+)' + MARKER_SUFFIX);
-    const htmlStringCache = new Map();
-    const templateResultSnapshotCache = new WeakMap();
-    const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
-        'link', 'meta', 'param', 'source', 'track', 'wbr']);
-    const functionSignatureCache = new WeakMap();
-    const styleStringCache = new WeakMap();
-    const _htmlParseDiv = typeof document !== 'undefined' ? document.createElement('div') : null;
-    const FAST_LIST_THRESHOLD = 50000;
-    const CHUNK_THRESHOLD = 100000;
-    const CHUNK_SIZE = 5000;
-
-    function escapeHtml(str) {
-        return String(str).replace(/[&<>"']/g, c => (
-            c === '&' ? '&amp;' :
-            c === '<' ? '&lt;' :
-            c === '>' ? '&gt;' :
-            c === '"' ? '&quot;' : '&#39;'
-        ));
-    }
-
-    function isSimpleWrapperTemplate(result) {
-        if (!(result && result.strings && result.strings.length === 2)) return null;
-        const open = result.strings[0].trim();
-        const close = result.strings[1].trim();
-        const m = open.match(/^<([a-zA-Z0-9-]+)>$/);
-        if (!m) return null;
-        const tag = m[1];
-        if (close !== `</${tag}>`) return null;
-        return { open: result.strings[0], close: result.strings[1] };
-    }
-
-    function scheduleChunkedHTMLAppend(self, open, close, newArray) {
-        const node = self.node;
-        const token = Symbol('chunk');
-        node._chunkToken = token;
-        node.innerHTML = '';
-        let i = 0;
-
-        function step(deadline) {
-            if (node._chunkToken !== token) return; // canceled
-            const batch = [];
-            let processed = 0;
-            const canContinue = () => !deadline || (typeof deadline.timeRemaining === 'function' && deadline.timeRemaining() > 1);
-            while (i < newArray.length && processed < CHUNK_SIZE && canContinue()) {
-                const v = newArray[i].values[0];
-                batch.push(open + escapeHtml(v == null ? '' : v) + close);
-                i++; processed++;
-            }
-            if (batch.length) node.insertAdjacentHTML('beforeend', batch.join(''));
-            if (i < newArray.length) {
-                if (typeof requestIdleCallback === 'function') {
-                    requestIdleCallback(step);
-                } else {
-                    setTimeout(step, 0);
-                }
-            } else {
-                // 完成后再写入缓存，避免中途跳过更新
-                self._cachedArray = newArray.map(item => self._cloneArrayItem(item));
-                self._cachedArraySource = newArray;
-            }
+    /**
+     * 停止 effect：移除所有依赖并执行清理函数，之后不再响应变化
+     */
+    function stop(effectFn) {
+        if (!effectFn.active) return;
+        effectFn.active = false;
+        cleanupEffect(effectFn);
+        runEffectCleanups(effectFn);
+        if (effectFn.onStop) {
+            effectFn.onStop();
         }
+    }
 
-        if (typeof requestIdleCallback === 'function') {
-            requestIdleCallback(step);
-        } else {
-            setTimeout(step, 0);
+    /**
+     * 在 effect 内注册清理函数，在 effect 下次执行前或停止时调用
+     */
+    function onCleanup(fn) {
+        if (!currentEffect) {
+            console.warn('onCleanup 必须在 effect 执行过程中调用');
+            return;
         }
+        currentEffect.cleanups.push(fn);
+    }
+
+    /**
+     * 执行函数但不收集其中读取的响应式依赖
+     * @param {Function} fn
+     * @returns {any} fn 的返回值
+     */
+    function untrack(fn) {
+        const prevShouldTrack = shouldTrack;
+        shouldTrack = false;
+        try {
+            return fn();
+        } finally {
+            shouldTrack = prevShouldTrack;
+        }
+    }
+
+    // ========== 作用域（EffectScope） ==========
+
+    let activeEffectScope = null;
+
+    /**
+     * 副作用作用域：收集其中创建的 effect、计算属性、侦听器和子作用域，stop() 时一并释放
+     */
+    class EffectScope {
+        constructor(detached = false) {
+            this.active = true;
+            this.effects = [];
+            this.cleanups = [];
+            this.scopes = [];
+            this.parent = null;
+            // 非独立作用域挂到当前作用域下，随父作用域一起停止
+            if (!detached && activeEffectScope) {
+                this.parent = activeEffectScope;
+                activeEffectScope.scopes.push(this);
+            }
+        }
+
+        /**
+         * 在作用域内执行函数，期间创建的 effect 都归属于该作用域
+         */
+        run(fn) {
+            if (!this.active) {
+                console.warn('无法在已停止的 effectScope 中执行函数');
+                return;
+            }
+            const prevScope = activeEffectScope;
+            activeEffectScope = this;
+            try {
+                return fn();
+            } finally {
+                activeEffectScope = prevScope;
+            }
+        }
+
+        /**
+         * 停止作用域：停止所有 effect 和子作用域，并执行 onScopeDispose 注册的清理函数
+         */
+        stop() {
+            if (!this.active) return;
+            this.active = false;
+
+            this.effects.forEach(effectFn => stop(effectFn));
+            this.scopes.slice().forEach(scope => scope.stop());
+            this.cleanups.forEach(fn => {
+                try {
+                    fn();
+                } catch (err) {
+                    console.error('onScopeDispose 清理函数执行出错:', err);
+                }
+            });
+            this.effects.length = 0;
+            this.scopes.length = 0;
+            this.cleanups.length = 0;
+
+            if (this.parent) {
+                const index = this.parent.scopes.indexOf(this);
+                if (index !== -1) this.parent.scopes.splice(index, 1);
+                this.parent = null;
+            }
+        }
+    }
+
+    /**
+     * 创建副作用作用域
+     * @param {boolean} [detached] - 为 true 时不被当前作用域收集，需要手动停止
+     * @returns {EffectScope}
+     */
+    function effectScope(detached = false) {
+        return new EffectScope(detached);
+    }
+
+    /**
+     * 获取当前正在执行的作用域（组件 setup / 渲染期间为组件自身的作用域）
+     */
+    function getCurrentScope() {
+        return activeEffectScope;
+    }
+
+    /**
+     * 在当前作用域上注册清理函数，作用域停止时调用
+     */
+    function onScopeDispose(fn) {
+        if (!activeEffectScope) {
+            console.warn('onScopeDispose 必须在 effectScope 或组件内调用');
+            return;
+        }
+        activeEffectScope.cleanups.push(fn);
+    }
+
+    function recordEffectScope(effectFn) {
+        if (activeEffectScope && activeEffectScope.active) {
+            activeEffectScope.effects.push(effectFn);
+        }
+    }
+
+    /**
+     * 计算属性 - 缓存派生值，惰性求值，只有依赖变化后再次读取时才重新计算
+     * @param {Function|{get: Function, set?: Function}} getterOrOptions - 计算函数，或 { get, set }
+     * @returns {Function} 计算函数：无参数时返回值，有参数时调用 set
+     */
+    function computed(getterOrOptions) {
+        const isGetter = typeof getterOrOptions === 'function';
+        const getter = isGetter ? getterOrOptions : getterOrOptions.get;
+        const setter = isGetter ? null : getterOrOptions.set;
+
+        let value;
+        let dirty = true;
+        // 计算属性自身作为依赖目标，供读取它的 effect 追踪
+        const target = {};
+
+        const runner = effect(getter, {
+            lazy: true,
+            scheduler: () => {
+                // 依赖变化时只标记为脏，并通知读取者，下次读取时再计算
+                if (!dirty) {
+                    dirty = true;
+                    trigger(target, 'value');
+                }
+            }
+        });
+
+        const computedFunc = function (newValue) {
+            if (arguments.length === 0) {
+                if (dirty) {
+                    value = runner();
+                    dirty = false;
+                }
+                track(target, 'value');
+                return value;
+            }
+            if (setter) {
+                setter(newValue);
+            } else {
+                console.warn('计算属性是只读的，如需写入请传入 { get, set }');
+            }
+        };
+
+        computedFunc.effect = runner;
+        // 读取当前值但不订阅
+        computedFunc.peek = () => untrack(computedFunc);
+        return computedFunc;
+    }
+
+    /**
+     * 递归读取对象的所有属性，用于深度侦听时收集依赖
+     */
+    function traverse(value, seen = new Set()) {
+        if (!value || typeof value !== 'object' || seen.has(value)) return value;
+        seen.add(value);
+
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                traverse(value[i], seen);
+            }
+        } else if (toRawType(value) === 'Map' || toRawType(value) === 'Set') {
+            value.forEach(v => traverse(v, seen));
+        } else {
+            for (const key in value) {
+                traverse(value[key], seen);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * 侦听器 - 数据源变化时调用回调，并提供新旧值
+     * @param {Function|object|Array} source - useState 函数、getter、reactive 对象，或由它们组成的数组
+     * @param {Function} callback - (newValue, oldValue, onCleanup) => void
+     * @param {object} [options]
+     * @param {boolean} [options.immediate] - 创建时立即执行一次回调
+     * @param {boolean} [options.deep] - 深度侦听嵌套属性变化（reactive 对象默认深度侦听）
+     * @param {'pre'|'post'|'sync'} [options.flush] - 回调时机：组件渲染前（默认）、渲染后、同步
+     * @returns {Function} 停止侦听的函数
+     *
+     * 在组件 setup 中创建的侦听器会在组件卸载时自动停止
+     */
+    function watch(source, callback, options = {}) {
+        const { immediate = false, flush = 'pre' } = options;
+        let deep = !!options.deep;
+        const isMultiSource = Array.isArray(source);
+
+        const resolveSource = s => {
+            if (typeof s === 'function') return s();
+            if (isProxy(s)) return traverse(s);
+            return s;
+        };
+
+        let getter;
+        // 数组中包含 reactive 对象时，对象内部的修改不会改变数组项本身，需要强制触发回调
+        let forceTrigger = false;
+        if (isMultiSource) {
+            getter = () => source.map(resolveSource);
+            forceTrigger = source.some(isProxy);
+        } else if (typeof source === 'function') {
+            getter = source;
+        } else if (isProxy(source)) {
+            getter = () => source;
+            deep = true;
+        } else {
+            throw new Error('watch 的数据源必须是 useState 函数、getter 函数、reactive 对象或它们组成的数组');
+        }
+
+        if (deep) {
+            const baseGetter = getter;
+            getter = () => traverse(baseGetter());
+        }
+
+        const instance = currentInstance;
+        const INITIAL = {};
+        let oldValue = INITIAL;
+        let cleanup = null;
+        const onWatcherCleanup = fn => {
+            cleanup = fn;
+        };
+
+        const hasChanged = newValue => {
+            if (isMultiSource) {
+                return newValue.some((v, i) => !Object.is(v, oldValue[i]));
+            }
+            return !Object.is(newValue, oldValue);
+        };
+
+        const job = () => {
+            if (!runner.active) return;
+            const newValue = runner();
+            if (deep || forceTrigger || oldValue === INITIAL || hasChanged(newValue)) {
+                if (cleanup) {
+                    cleanup();
+                    cleanup = null;
+                }
+                callWithErrorHandling(callback, instance, 'watcher callback', [
+                    newValue, oldValue === INITIAL ? undefined : oldValue, onWatcherCleanup
+                ]);
+                oldValue = newValue;
+            }
+        };
+
+        let scheduler;
+        if (flush === 'sync') {
+            scheduler = () => queueSyncJob(job);
+        } else if (flush === 'post') {
+            scheduler = () => queuePostFlushCb(job);
+        } else {
+            job.pre = true;
+            scheduler = () => queueJob(job);
+        }
+
+        const runner = effect(getter, {
+            lazy: true,
+            scheduler,
+            onStop: () => {
+                if (cleanup) {
+                    cleanup();
+                    cleanup = null;
+                }
+            }
+        });
+
+        if (immediate) {
+            job();
+        } else {
+            oldValue = runner();
+        }
+
+        return runner.stop;
+    }
+
+    // ========== 模板引擎核心 ==========
+
+    const MARKER_PREFIX = '{{lit-';
+    const MARKER_SUFFIX = '}}';
+    const MARKER_REGEX = new RegExp(MARKER_PREFIX + '(\\d+)' + MARKER_SUFFIX);
+    const MARKER_REGEX_GLOBAL = new RegExp(MARKER_PREFIX + '\\d+' + MARKER_SUFFIX, 'g');
+    const htmlStringCache = new Map();
+    const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+        'link', 'meta', 'param', 'source', 'track', 'wbr']);
+    const functionSignatureCache = new WeakMap();
+    const styleStringCache = new WeakMap();
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const FAST_LIST_THRESHOLD = 50000;
+    const CHUNK_THRESHOLD = 100000;
+    const CHUNK_SIZE = 5000;
+
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, c => (
+            c === '&' ? '&amp;' :
+            c === '<' ? '&lt;' :
+            c === '>' ? '&gt;' :
+            c === '"' ? '&quot;' : '&#39;'
+        ));
+    }
+
+    /**
+     * 样式对象转为 cssText，驼峰属性名转为短横线形式
+     */
+    function styleObjectToString(style) {
+        return Object.keys(style)
+            .filter(k => style[k] != null && style[k] !== false)
+            .map(k => `${k.replace(/[A-Z]/g, m => '-' + m.toLowerCase())}: ${style[k]}`)
+            .join('; ');
+    }
+
+    /**
+     * class 绑定的值转为字符串：支持字符串、数组和 { className: boolean } 对象
+     */
+    function classValueToString(value) {
+        if (value == null || value === false) return '';
+        if (Array.isArray(value)) return value.map(classValueToString).filter(Boolean).join(' ');
+        if (typeof value === 'object') return Object.keys(value).filter(k => value[k]).join(' ');
+        return String(value);
+    }
+
+    /**
+     * 按前后两次的 class 集合增删 classList，不影响其他代码（如第三方库）添加的 class
+     * @returns {Set<string>} 本次的 class 集合，下次更新时作为比较依据
+     */
+    function updateClassList(node, prev, value) {
+        const next = new Set(classValueToString(value).split(/\s+/).filter(Boolean));
+        if (prev) {
+            prev.forEach(name => {
+                if (!next.has(name)) node.classList.remove(name);
+            });
+        }
+        next.forEach(name => {
+            if (!prev || !prev.has(name)) node.classList.add(name);
+        });
+        return next;
+    }
+
+    function toCSSPropertyName(name) {
+        return name.startsWith('--') ? name : name.replace(/[A-Z]/g, m => '-' + m.toLowerCase());
+    }
+
+    /**
+     * 按前后两次的样式对象设置 / 移除样式属性，支持 --custom 属性和 !important，未变化的属性不写入
+     * @returns {Object} 本次的样式（CSS 属性名 → 值），下次更新时作为比较依据
+     */
+    function updateStyleProperties(node, prev, styles) {
+        const next = {};
+        Object.keys(styles || {}).forEach(key => {
+            const value = styles[key];
+            if (value != null && value !== false) next[toCSSPropertyName(key)] = String(value);
+        });
+        if (prev) {
+            Object.keys(prev).forEach(name => {
+                if (!(name in next)) node.style.removeProperty(name);
+            });
+        }
+        Object.keys(next).forEach(name => {
+            const value = next[name];
+            if (prev && prev[name] === value) return;
+            const important = /\s*!important$/.test(value);
+            node.style.setProperty(name, important ? value.replace(/\s*!important$/, '') : value, important ? 'important' : '');
+        });
+        return next;
+    }
+
+    function isSimpleWrapperTemplate(result) {
+        if (!(result && result.strings && result.strings.length === 2)) return null;
+        const open = result.strings[0].trim();
+        const close = result.strings[1].trim();
+        const m = open.match(/^<([a-zA-Z0-9-]+)>$/);
+        if (!m) return null;
+        const tag = m[1];
+        if (close !== `</${tag}>`) return null;
+        // 去掉首尾空白，保证每一项只生成一个元素
+        return { open, close };
+    }
+
+    /**
+     * 将 HTML 字符串解析为 DocumentFragment
+     * 使用 <template> 解析，<tr>、<li>、<option> 等片段也能保持原样；SVG 中的片段在 <svg> 内解析以得到正确的命名空间
+     */
+    function parseHTML(htmlString, isSvg) {
+        const template = document.createElement('template');
+        if (!isSvg) {
+            template.innerHTML = htmlString;
+            return template.content;
+        }
+        template.innerHTML = `<svg>${htmlString}</svg>`;
+        const fragment = document.createDocumentFragment();
+        const svg = template.content.firstChild;
+        while (svg.firstChild) {
+            fragment.appendChild(svg.firstChild);
+        }
+        return fragment;
     }
 
     function isDestructuredSetup(fn) {
@@ -325,13 +1260,156 @@
         return isDestructured;
     }
 
-    function getTemplateSnapshot(result) {
-        let snapshot = templateResultSnapshotCache.get(result);
-        if (!snapshot) {
-            snapshot = { strings: result.strings, values: [...result.values] };
-            templateResultSnapshotCache.set(result, snapshot);
+    /**
+     * 获取列表项的 key：repeat() 指定的 key，或模板根元素上的 key 属性
+     */
+    function getItemKey(item) {
+        if (!(item instanceof TemplateResult)) return undefined;
+        if (item.key !== undefined) return item.key;
+        const keyInfo = getTemplate(item.strings).keyInfo;
+        if (!keyInfo) return undefined;
+        if (keyInfo.index !== undefined) return item.values[keyInfo.index];
+        if (keyInfo.strings) {
+            return keyInfo.indices.reduce((key, index, i) => key + item.values[index] + keyInfo.strings[i + 1], keyInfo.strings[0]);
+        }
+        return keyInfo.value;
+    }
+
+    /**
+     * 最长递增子序列（忽略小于 0 的项），返回组成该子序列的下标
+     * 用于带 key 列表的更新：处于子序列中的项保持不动，只移动其余项
+     */
+    function longestIncreasingSubsequence(arr) {
+        const predecessors = new Array(arr.length);
+        const tails = [];
+        for (let i = 0; i < arr.length; i++) {
+            const value = arr[i];
+            if (value < 0) continue;
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (arr[tails[mid]] < value) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            predecessors[i] = lo > 0 ? tails[lo - 1] : -1;
+            tails[lo] = i;
+        }
+
+        const result = new Array(tails.length);
+        let k = tails.length ? tails[tails.length - 1] : -1;
+        for (let i = tails.length - 1; i >= 0; i--) {
+            result[i] = k;
+            k = predecessors[k];
+        }
+        return result;
+    }
+
+    // 指令返回该值表示不需要更新插值
+    const noChange = Symbol('noChange');
+
+    /**
+     * 指令调用结果，在插值写入时才执行指令函数
+     */
+    class DirectiveResult {
+        constructor(fn, args) {
+            this.fn = fn;
+            this.args = args;
+        }
+    }
+
+    /**
+     * 执行指令：同一插值位置上连续使用同一个指令时保留 state，换成其他指令或普通值时重置
+     * @returns {any} 要写入插值的值，或 noChange
+     */
+    function resolveDirective(part, result, node, name, previousValue) {
+        if (part._directiveFn !== result.fn) {
+            part._directiveFn = result.fn;
+            part._directiveState = {};
+        }
+        const state = part._directiveState;
+        const context = {
+            part,
+            node,
+            name,
+            previousValue,
+            state,
+            // 异步写入（如 until）；插值已换成其他指令或普通值时忽略
+            setValue: value => {
+                if (part._directiveState === state) part._setDirectiveValue(value);
+            }
+        };
+        return result.fn(context, ...result.args);
+    }
+
+    /**
+     * 把目标设置为 ref 对象的 current，或以元素为参数调用回调
+     */
+    function setRef(target, value) {
+        if (typeof target === 'function') {
+            target(value);
+        } else if (target) {
+            target.current = value;
+        }
+    }
+
+    // 只影响监听方式、不参与事件过滤的修饰符
+    const LISTENER_MODIFIERS = ['prevent', 'stop', 'self', 'once', 'capture', 'passive'];
+    const SYSTEM_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+    const KEY_ALIASES = {
+        esc: 'escape',
+        space: ' ',
+        up: 'arrowup',
+        down: 'arrowdown',
+        left: 'arrowleft',
+        right: 'arrowright'
+    };
+    const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 };
+
+    /**
+     * 检查事件是否满足修饰符：.self、系统键（.ctrl 等）、按键（.enter、.esc、.page-down）和鼠标按键（.left 等）
+     * 属性名会被转为小写，按键名比较时忽略大小写和短横线
+     */
+    function matchEventModifiers(event, modifiers) {
+        const keys = [];
+        for (const modifier of modifiers) {
+            if (modifier === 'self') {
+                if (event.target !== event.currentTarget) return false;
+            } else if (SYSTEM_MODIFIERS.includes(modifier)) {
+                if (!event[modifier + 'Key']) return false;
+            } else if (!LISTENER_MODIFIERS.includes(modifier)) {
+                keys.push(modifier.replace(/-/g, ''));
+            }
+        }
+        if (!keys.length) return true;
+
+        if (typeof event.key === 'string') {
+            const key = event.key.toLowerCase();
+            // .delete 同时匹配 Delete 和 Backspace
+            return keys.some(k => key === (KEY_ALIASES[k] || k) || (k === 'delete' && key === 'backspace'));
         }
-        return snapshot;
+        if (typeof event.button === 'number') {
+            const buttons = keys.filter(k => k in MOUSE_BUTTONS);
+            return !buttons.length || buttons.some(k => MOUSE_BUTTONS[k] === event.button);
+        }
+        return true;
+    }
+
+    function isModelBinding(name) {
+        return name === 'model' || name.startsWith('model.');
+    }
+
+    // 与控件中的字符串值比较时忽略类型：1 与 '1' 视为相同
+    function looseEqual(a, b) {
+        return a === b || String(a) === String(b);
+    }
+
+    function looseToNumber(value) {
+        const n = parseFloat(value);
+        return isNaN(n) ? value : n;
     }
 
     class TemplatePart {
@@ -342,8 +1420,44 @@
         }
 
         setValue(value) {
-            // 基本类型直接比较
-            if (this.value === value) return;
+            if (value instanceof DirectiveResult) {
+                const resolved = resolveDirective(this, value, this.node, this.name, this.value);
+                if (resolved !== noChange) this._commitValue(resolved);
+                return;
+            }
+            this._directiveFn = null;
+            this._directiveState = null;
+            this._commitValue(value);
+        }
+
+        _setDirectiveValue(value) {
+            this._commitValue(value);
+        }
+
+        /**
+         * 绑定元素引用：更换目标时旧目标收到 null
+         */
+        _setRef(target) {
+            if (this._ref === target) return;
+            if (this._ref) setRef(this._ref, null);
+            this._ref = target || null;
+            if (target) setRef(target, this.node);
+        }
+
+        /**
+         * 元素被移除或所在模板实例被替换时清空引用；下次写入同一个值时会重新设置
+         */
+        _releaseRefs() {
+            if (this._ref) {
+                setRef(this._ref, null);
+                this._ref = null;
+                this.value = undefined;
+            }
+        }
+
+        _commitValue(value) {
+            // 基本类型直接比较；model 绑定的状态函数不变，但每次都要把状态值同步到控件
+            if (this.value === value && !this._modelListener) return;
 
             // 特殊处理：如果新旧值都是同类型的复杂对象，进行深度比较
             if (this.value !== undefined && value !== undefined) {
@@ -370,9 +1484,11 @@
         _arraysEqual(a, b) {
             if (a.length !== b.length) return false;
             for (let i = 0; i < a.length; i++) {
+                // 指令每次都需要执行（如 live 需要对比 DOM 中的当前值）
+                if (a[i] instanceof DirectiveResult || b[i] instanceof DirectiveResult) return false;
                 // 对于 TemplateResult，需要深度比较
                 if (a[i] instanceof TemplateResult && b[i] instanceof TemplateResult) {
-                    if (a[i].strings !== b[i].strings) return false;
+                    if (a[i].strings !== b[i].strings || a[i].key !== b[i].key) return false;
                     if (!this._arraysEqual(a[i].values, b[i].values)) return false;
                 } else if (a[i] !== b[i]) {
                     // 如果是对象或数组，做深度比较
@@ -458,337 +1574,200 @@
         }
 
         /**
-         * 智能更新数组 - 最小化 DOM 操作
+         * on 开头的属性只有在值是函数或监听对象时才作为事件（避免 one、online 等普通属性被误判）
          */
-        _updateArray(newArray) {
-            // 快速路径：同一数组引用则跳过
-            if (this._cachedArraySource === newArray) return;
-            const childNodes = this.node.childNodes; // live NodeList，按需索引
-            const oldArray = this._cachedArray || [];
-
-            // 大列表快速路径：同构 TemplateResult 列表，使用拼接 innerHTML 一次性更新
-            const newLength = newArray.length;
-            const oldLength = oldArray.length;
-            
-            if (newLength >= FAST_LIST_THRESHOLD && newArray[0] instanceof TemplateResult) {
-                const simple = isSimpleWrapperTemplate(newArray[0]);
-                if (simple) {
-                    const baseStrings = newArray[0].strings;
-                    let homogeneous = true;
-                    for (let i = 1; i < newLength; i++) {
-                        const item = newArray[i];
-                        if (!(item instanceof TemplateResult) || item.strings !== baseStrings || item.values.length !== 1) {
-                            homogeneous = false; break;
-                        }
-                    }
-                    if (homogeneous) {
-                        const open = baseStrings[0];
-                        const close = baseStrings[1];
-                        
-                        // 首次渲染（oldArray为空）
-                        if (oldLength === 0) {
-                            if (newLength >= CHUNK_THRESHOLD) {
-                                // 超大列表：分片追加
-                                scheduleChunkedHTMLAppend(this, open, close, newArray);
-                                return;
-                            } else {
-                                // 直接一次性 innerHTML 更新
-                                const builder = new Array(newLength);
-                                for (let i = 0; i < newLength; i++) {
-                                    const v = newArray[i].values[0];
-                                    builder[i] = open + escapeHtml(v == null ? '' : v) + close;
-                                }
-                                this.node.innerHTML = builder.join('');
-                                this._cachedArray = newArray.map(item => this._cloneArrayItem(item));
-                                this._cachedArraySource = newArray;
-                                return;
-                            }
-                        }
-                        
-                        // 对于已经渲染过的列表，检查变化数量
-                        // 如果变化的项目较少（< 10%），使用diff算法进行最小粒度更新
-                        if (oldLength > 0 && newLength === oldLength) {
-                            let changedCount = 0;
-                            const maxChangesForDiff = Math.max(10, Math.floor(newLength * 0.1)); // 最多10%或至少10个
-                            
-                            for (let i = 0; i < newLength && changedCount <= maxChangesForDiff; i++) {
-                                if (!this._itemsEqual(newArray[i], oldArray[i])) {
-                                    changedCount++;
-                                }
-                            }
-                            
-                            // 如果变化量小，使用diff更新而不是全量刷新
-                            if (changedCount <= maxChangesForDiff) {
-                                // 跳过快速路径，使用下面的diff算法
-                            } else {
-                                // 变化量大，使用innerHTML全量更新
-                                const builder = new Array(newLength);
-                                for (let i = 0; i < newLength; i++) {
-                                    const v = newArray[i].values[0];
-                                    builder[i] = open + escapeHtml(v == null ? '' : v) + close;
-                                }
-                                this.node.innerHTML = builder.join('');
-                                this._cachedArray = newArray.map(item => this._cloneArrayItem(item));
-                                this._cachedArraySource = newArray;
-                                return;
-                            }
-                        } else {
-                            // 长度不同，全量更新
-                            const builder = new Array(newLength);
-                            for (let i = 0; i < newLength; i++) {
-                                const v = newArray[i].values[0];
-                                builder[i] = open + escapeHtml(v == null ? '' : v) + close;
-                            }
-                            this.node.innerHTML = builder.join('');
-                            this._cachedArray = newArray.map(item => this._cloneArrayItem(item));
-                            this._cachedArraySource = newArray;
-                            return;
-                        }
-                    }
-                }
-            }
+        _isOnEvent(value) {
+            if (!/^on./i.test(this.name)) return false;
+            return !!this._listener || typeof value === 'function' ||
+                !!(value && typeof value.handleEvent === 'function');
+        }
 
-            // 简单的 diff 算法
-            const minLength = Math.min(newLength, oldLength);
+        /**
+         * 是否为元素真实的事件处理属性（onclick、onInput.prevent 等），这类属性绝不能写入字符串
+         */
+        _isHandlerAttribute() {
+            const base = this.name.split('.')[0].toLowerCase();
+            return /^on./.test(base) && base in this.node;
+        }
 
-            // 1. 更新现有的项
-            for (let i = 0; i < minLength; i++) {
-                const newItem = newArray[i];
-                const oldItem = oldArray[i];
-                const childNode = childNodes[i];
+        /**
+         * 事件绑定：onClick.prevent.stop=${fn}、@item-selected=${fn}，或传入 { handleEvent, options } 对象指定监听选项
+         * 元素上只注册一个包装监听器，处理函数变化时不重新注册，监听选项变化时才重新注册
+         */
+        _commitEvent(value) {
+            const [base, ...modifiers] = this.name.split('.');
+            // @item-selected 保持原样；onClick -> click, onChange -> change, onclick -> click
+            const eventName = base[0] === '@' ? base.slice(1) : base.slice(2).toLowerCase();
+
+            let handler = null;
+            let options = {};
+            if (typeof value === 'function') {
+                handler = value;
+            } else if (value && typeof value.handleEvent === 'function') {
+                handler = value;
+                options = value.options || {};
+            }
+            const listenerOptions = {
+                capture: modifiers.includes('capture') || !!options.capture,
+                once: modifiers.includes('once') || !!options.once,
+                passive: modifiers.includes('passive') || !!options.passive
+            };
 
-                // 检查项是否相同
-                if (this._itemsEqual(newItem, oldItem)) {
-                    // 相同，跳过
-                    continue;
+            this._handler = handler;
+            const prev = this._listenerOptions;
+            if (this._listener && (!handler || prev.capture !== listenerOptions.capture ||
+                prev.once !== listenerOptions.once || prev.passive !== listenerOptions.passive)) {
+                this.node.removeEventListener(eventName, this._listener, prev.capture);
+                this._listener = null;
+            }
+            if (!handler || this._listener) return;
+
+            this._listenerOptions = listenerOptions;
+            this._listener = event => {
+                const current = this._handler;
+                if (!current || !matchEventModifiers(event, modifiers)) return;
+                if (modifiers.includes('prevent')) event.preventDefault();
+                if (modifiers.includes('stop')) event.stopPropagation();
+                if (typeof current === 'function') {
+                    current.call(this.node, event);
+                } else {
+                    current.handleEvent(event);
                 }
+            };
+            this.node.addEventListener(eventName, this._listener, listenerOptions);
+        }
 
-                // 不同，需要更新
-                if (newItem instanceof TemplateResult) {
-                    if (childNode && childNode._templateInstance) {
-                        // 尝试更新现有的模板实例
-                        if (childNode._templateInstance.template.strings === newItem.strings) {
-                            childNode._templateInstance.update(newItem.values);
-                        } else {
-                            // 模板结构不同，需要重新创建
-                            // 根据模板内容创建合适的容器元素
-                            const fragment = document.createDocumentFragment();
-                            const tempContainer = document.createElement('div');
-                            render(newItem, tempContainer);
-                            // 将渲染结果移动到父节点
-                            while (tempContainer.firstChild) {
-                                fragment.appendChild(tempContainer.firstChild);
-                            }
-                            this.node.replaceChild(fragment, childNode);
-                        }
-                    } else {
-                        // 没有模板实例，重新创建
-                        const fragment = document.createDocumentFragment();
-                        const tempContainer = document.createElement('div');
-                        render(newItem, tempContainer);
-                        // 将渲染结果移动到父节点
-                        while (tempContainer.firstChild) {
-                            fragment.appendChild(tempContainer.firstChild);
-                        }
-                        if (childNode) {
-                            this.node.replaceChild(fragment, childNode);
-                        } else {
-                            this.node.appendChild(fragment);
-                        }
-                    }
-                } else if (this._isHTMLString(newItem)) {
-                    // HTML 字符串 - 直接插入 HTML（复用全局解析容器，减少分配）
-                    if (_htmlParseDiv) {
-                        _htmlParseDiv.innerHTML = newItem;
-                        const fragment = document.createDocumentFragment();
-                        while (_htmlParseDiv.firstChild) {
-                            fragment.appendChild(_htmlParseDiv.firstChild);
-                        }
-                        if (childNode) {
-                            this.node.replaceChild(fragment, childNode);
-                        } else {
-                            this.node.appendChild(fragment);
-                        }
-                    } else {
-                        if (childNode) {
-                            childNode.textContent = String(newItem);
-                        } else {
-                            const textNode = document.createTextNode(String(newItem));
-                            this.node.appendChild(textNode);
-                        }
-                    }
-                } else {
-                    // 普通文本节点
-                    if (childNode && childNode.nodeType === Node.TEXT_NODE) {
-                        childNode.textContent = String(newItem);
-                    } else {
-                        const textNode = document.createTextNode(String(newItem));
-                        if (childNode) {
-                            this.node.replaceChild(textNode, childNode);
-                        } else {
-                            this.node.appendChild(textNode);
-                        }
-                    }
-                }
+        /**
+         * model=${stateFn} 双向绑定：把状态写入控件的 DOM 属性，并监听控件的输入写回状态
+         * 修饰符写在属性名中：model.lazy（change 时同步）、model.trim、model.number
+         */
+        _commitModel(stateFn) {
+            if (typeof stateFn !== 'function') {
+                console.warn('model 绑定需要状态函数（useState / signal 的返回值），收到:', stateFn);
+                return;
             }
-
-            // 2. 添加新项
-            if (newLength > oldLength) {
-                const batchFragment = document.createDocumentFragment();
-                for (let i = oldLength; i < newLength; i++) {
-                    const newItem = newArray[i];
-                    if (newItem instanceof TemplateResult) {
-                        // 创建临时容器来渲染模板，然后提取实际的DOM节点
-                        const tempContainer = document.createElement('div');
-                        render(newItem, tempContainer);
-                        // 将渲染结果移动到fragment
-                        while (tempContainer.firstChild) {
-                            batchFragment.appendChild(tempContainer.firstChild);
-                        }
-                    } else if (this._isHTMLString(newItem)) {
-                        if (_htmlParseDiv) {
-                            _htmlParseDiv.innerHTML = newItem;
-                            while (_htmlParseDiv.firstChild) {
-                                batchFragment.appendChild(_htmlParseDiv.firstChild);
-                            }
-                        } else if (newItem != null) {
-                            batchFragment.appendChild(document.createTextNode(String(newItem)));
-                        }
-                    } else if (newItem != null) {
-                        batchFragment.appendChild(document.createTextNode(String(newItem)));
+            this._model = stateFn;
+            const node = this.node;
+            const modifiers = this.name.split('.').slice(1);
+            const tag = node.tagName.toLowerCase();
+            const type = (node.type || '').toLowerCase();
+            const value = stateFn();
+
+            if (tag === 'input' && type === 'checkbox') {
+                // 绑定数组时按 value 增删，否则绑定布尔值
+                node.checked = Array.isArray(value) ? value.some(v => looseEqual(v, node.value)) : !!value;
+            } else if (tag === 'input' && type === 'radio') {
+                node.checked = looseEqual(value, node.value);
+            } else if (tag === 'select') {
+                const selected = node.multiple && Array.isArray(value) ? value : [value];
+                Array.from(node.options).forEach(option => {
+                    option.selected = selected.some(v => looseEqual(v, option.value));
+                });
+            } else {
+                const next = value == null ? '' : String(value);
+                // 值相同时不写入，避免重置光标位置；正在输入中文时不打断输入法
+                if (node.value !== next && !node._composing) {
+                    const castValue = this._readModel();
+                    if (!(node.ownerDocument.activeElement === node && looseEqual(castValue, value))) {
+                        node.value = next;
                     }
                 }
-                this.node.appendChild(batchFragment);
             }
 
-            // 3. 删除多余的项
-            if (newLength < oldLength) {
-                for (let i = this.node.childNodes.length - 1; i >= newLength; i--) {
-                    const childNode = this.node.childNodes[i];
-                    if (childNode) {
-                        if (childNode._templateInstance) {
-                            delete childNode._templateInstance;
-                        }
-                        this.node.removeChild(childNode);
-                    }
-                }
-            }
+            if (this._modelListener) return;
 
-            // 缓存当前数组用于下次比较
-            this._cachedArray = newArray.map(item => this._cloneArrayItem(item));
-            this._cachedArraySource = newArray;
-        }
+            const lazy = modifiers.includes('lazy');
+            const isTextInput = tag === 'textarea' ||
+                (tag === 'input' && !['checkbox', 'radio', 'range', 'color', 'file'].includes(type));
+            const eventName = isTextInput && !lazy ? 'input' : 'change';
 
-        /**
-         * 比较数组项是否相同
-         */
-        _itemsEqual(item1, item2) {
-            if (item1 === item2) return true;
+            this._modelListener = () => {
+                if (node._composing) return;
+                const current = this._model();
+                let next = this._readModel();
+                if (tag === 'input' && type === 'checkbox' && Array.isArray(current)) {
+                    const rest = current.filter(v => !looseEqual(v, node.value));
+                    next = node.checked ? [...rest, next] : rest;
+                }
+                if (isTextInput && modifiers.includes('trim') && eventName === 'change') {
+                    node.value = node.value.trim();
+                }
+                this._model(next);
+            };
+            node.addEventListener(eventName, this._modelListener);
 
-            if (item1 instanceof TemplateResult && item2 instanceof TemplateResult) {
-                return item1.strings === item2.strings && this._arraysEqual(item1.values, item2.values);
+            if (isTextInput && !lazy) {
+                node.addEventListener('compositionstart', () => { node._composing = true; });
+                node.addEventListener('compositionend', () => {
+                    node._composing = false;
+                    this._modelListener();
+                });
             }
-
-            if (typeof item1 === 'object' && typeof item2 === 'object') {
-                if (item1 && item2 && item1.strings && item2.strings) {
-                    // 缓存的 TemplateResult
-                    return item1.strings === item2.strings && this._arraysEqual(item1.values, item2.values);
-                }
-                return this._deepEqual(item1, item2);
+            if (isTextInput && modifiers.includes('trim') && !lazy) {
+                // 输入过程中保留空格，失去焦点时再去掉
+                node.addEventListener('change', () => { node.value = node.value.trim(); });
             }
-
-            return item1 === item2;
         }
 
-        _cloneArrayItem(item) {
-            if (item instanceof TemplateResult) {
-                return getTemplateSnapshot(item);
+        /**
+         * 读取控件当前的值，并按修饰符转换
+         */
+        _readModel() {
+            const node = this.node;
+            const modifiers = this.name.split('.').slice(1);
+            const type = (node.type || '').toLowerCase();
+            let value;
+            if (node.tagName.toLowerCase() === 'select') {
+                const values = Array.from(node.options).filter(o => o.selected).map(o => o.value);
+                value = node.multiple ? values : (values[0] ?? '');
+            } else if (type === 'checkbox' && !Array.isArray(this._model())) {
+                return node.checked;
+            } else {
+                value = node.value;
             }
-            return item;
+            const cast = v => {
+                if (typeof v !== 'string') return v;
+                if (modifiers.includes('trim')) v = v.trim();
+                if (modifiers.includes('number') || type === 'number' || type === 'range') v = looseToNumber(v);
+                return v;
+            };
+            return Array.isArray(value) ? value.map(cast) : cast(value);
         }
 
         commit() {
             const value = this.value;
 
-            if (this.name === 'node') {
-                // 快速类型检查（避免重复调用 instanceof 和 _isHTMLString）
-                const isUnsafeHTML = value instanceof UnsafeHTML;
-                const isTemplateResult = value instanceof TemplateResult;
-                const isArray = Array.isArray(value);
-                
-                // 如果是文本节点，需要升级为元素节点（用于复杂内容）
-                const needsContainer = isUnsafeHTML || isTemplateResult || isArray || this._isHTMLString(value);
-
-                if (needsContainer && this.node.nodeType === Node.TEXT_NODE) {
-                    const span = document.createElement('span');
-                    this.node.parentNode.replaceChild(span, this.node);
-                    this.node = span;
-                }
-
-                // 支持 UnsafeHTML
-                if (isUnsafeHTML) {
-                    this.node.innerHTML = value.html;
-                    // 清理旧的模板实例（innerHTML 会清空内容，需要清理实例引用）
-                    if (this.node._templateInstance) {
-                        delete this.node._templateInstance;
-                    }
-                } else if (isTemplateResult) {
-                    // 支持嵌套的 TemplateResult
-                    // 如果已存在实例且模板结构相同，直接更新 values
-                    if (this.node._templateInstance && this.node._templateInstance.template.strings === value.strings) {
-                        this.node._templateInstance.update(value.values);
-                    } else {
-                        // 模板结构不同，或不存在实例：清空并重新渲染
-                        this.node.innerHTML = '';
-                        delete this.node._templateInstance;
-                        render(value, this.node);
-                    }
-                } else if (isArray) {
-                    // 支持数组（特别是 TemplateResult 数组）
-                    // 使用智能 diff 算法，最小化 DOM 操作
-                    this._updateArray(value);
+            if (this.name[0] === '@' || this._isOnEvent(value)) {
+                this._commitEvent(value);
+            } else if (this._isHandlerAttribute()) {
+                // onclick=${'...'} 等非函数值：写成属性会变成可执行的内联处理器，只移除不写入
+                this.node.removeAttribute(this.name);
+            } else if (this.name[0] === '?') {
+                // ?hidden=${flag}：按真假添加 / 移除布尔属性
+                if (value) {
+                    this.node.setAttribute(this.name.slice(1), '');
                 } else {
-                    // HTML 字符串或普通文本
-                    // 优化：只有当之前是 TemplateResult 时才需要清理实例
-                    const hadTemplateInstance = this.node._templateInstance;
-                    
-                    // 使用之前的 needsContainer 判断结果，避免重复调用 _isHTMLString
-                    if (needsContainer) {
-                        // HTML 字符串 - 直接使用 innerHTML
-                        this.node.innerHTML = value;
-                    } else {
-                        // 普通值
-                        this.node.textContent = value == null ? '' : value;
-                    }
-                    
-                    // 统一清理：只在必要时执行 delete 操作
-                    if (hadTemplateInstance) {
-                        delete this.node._templateInstance;
-                    }
-                }
-            } else if (this.name.toLowerCase().startsWith('on')) {
-                // 处理 onClick -> click, onChange -> change, onclick -> click
-                const eventName = this.name.slice(2).toLowerCase();
-
-                if (this._listener) {
-                    this.node.removeEventListener(eventName, this._listener);
-                    this._listener = null;
-                }
-                if (typeof value === 'function') {
-                    this._listener = value;
-                    this.node.addEventListener(eventName, value);
+                    this.node.removeAttribute(this.name.slice(1));
                 }
+            } else if (this.name === 'key') {
+                // key 只用于列表更新时识别项，不写入 DOM
+            } else if (this.name === 'ref') {
+                // ref=${refObject} 或 ref=${el => ...}：获取元素引用，不写入 DOM
+                this._setRef(value);
+            } else if (isModelBinding(this.name)) {
+                this._commitModel(value);
             } else if (this.name === 'class') {
-                if (typeof value === 'object') {
-                    const classes = Object.keys(value).filter(k => value[k]);
-                    this.node.className = classes.join(' ');
-                } else {
-                    this.node.className = value || '';
-                }
+                // 支持字符串、（嵌套）数组和类对象，只增删变化的 class
+                this._classes = updateClassList(this.node, this._classes, value);
             } else if (this.name === 'style') {
-                if (typeof value === 'object') {
-                    Object.assign(this.node.style, value);
+                if (value && typeof value === 'object') {
+                    // 之前是字符串样式时无法逐项比较，先清空再按对象设置
+                    if (this._styleString) this.node.style.cssText = '';
+                    this._styleString = false;
+                    this._styles = updateStyleProperties(this.node, this._styles, value);
                 } else {
+                    this._styleString = true;
+                    this._styles = null;
                     this.node.style.cssText = value || '';
                 }
             } else if (this.name.startsWith('.')) {
@@ -837,6 +1816,510 @@
         }
     }
 
+    /**
+     * 子节点插值：内容渲染在 start / end 两个注释节点之间，直接插入父节点而不额外包裹元素，
+     * 因此在 <ul>、<table>、<select>、<svg> 中也能生成合法的结构
+     */
+    class ChildPart extends TemplatePart {
+        constructor(startNode, endNode, inSvg = false) {
+            super(endNode, 'node');
+            this.startNode = startNode;
+            this.endNode = endNode;
+            // 父节点是 DocumentFragment 时无法判断命名空间，由所在的模板实例传入
+            this.inSvg = inSvg;
+            this._mode = null; // 'text' | 'html' | 'template' | 'array'
+            this._textNode = null;
+            this._templateInstance = null;
+            this._itemParts = null;
+            this._itemKeys = null;
+            this._fastList = null;
+            this._chunkToken = null;
+        }
+
+        _isSvg() {
+            const parent = this.endNode.parentNode;
+            if (parent && parent.nodeType === Node.ELEMENT_NODE) {
+                return parent.namespaceURI === SVG_NS && parent.localName !== 'foreignObject';
+            }
+            return this.inSvg;
+        }
+
+        _insert(node, before = this.endNode) {
+            this.endNode.parentNode.insertBefore(node, before);
+        }
+
+        /**
+         * 移除 start 与 end 之间的所有节点，并清空各种内容的缓存
+         */
+        _clear() {
+            this._releaseContentRefs();
+            const parent = this.endNode.parentNode;
+            let node = this.startNode.nextSibling;
+            while (node && node !== this.endNode) {
+                const next = node.nextSibling;
+                parent.removeChild(node);
+                node = next;
+            }
+            this._mode = null;
+            this._textNode = null;
+            this._templateInstance = null;
+            this._itemParts = null;
+            this._itemKeys = null;
+            this._fastList = null;
+            this._chunkToken = null;
+        }
+
+        _releaseContentRefs() {
+            if (this._templateInstance) this._templateInstance._releaseRefs();
+            if (this._itemParts) this._itemParts.forEach(part => part._releaseRefs());
+        }
+
+        _releaseRefs() {
+            super._releaseRefs();
+            if (this._templateInstance || this._itemParts) {
+                this._releaseContentRefs();
+                // 内容中的 ref 已清空，下次写入相同的值时也要重新提交
+                this.value = undefined;
+            }
+        }
+
+        /**
+         * 连同 start / end 注释节点一起移除（列表项被删除时）
+         */
+        _remove() {
+            this._clear();
+            const parent = this.endNode.parentNode;
+            parent.removeChild(this.startNode);
+            parent.removeChild(this.endNode);
+        }
+
+        /**
+         * 把当前内容移出到 fragment 中保存（不销毁模板实例），供 cache 指令再次使用
+         */
+        _detach() {
+            const fragment = document.createDocumentFragment();
+            let node = this.startNode.nextSibling;
+            while (node && node !== this.endNode) {
+                const next = node.nextSibling;
+                fragment.appendChild(node);
+                node = next;
+            }
+            this._clear();
+            return fragment;
+        }
+
+        /**
+         * 放回之前移出的模板内容
+         */
+        _restoreTemplate(instance, fragment) {
+            this._clear();
+            this._insert(fragment);
+            this._mode = 'template';
+            this._templateInstance = instance;
+        }
+
+        /**
+         * 该插值占据的全部节点（包括 start / end），用于移动列表项
+         */
+        _nodes() {
+            const nodes = [];
+            let node = this.startNode;
+            while (node) {
+                nodes.push(node);
+                if (node === this.endNode) break;
+                node = node.nextSibling;
+            }
+            return nodes;
+        }
+
+        commit() {
+            const value = this.value;
+
+            if (value instanceof TemplateResult) {
+                this._commitTemplate(value);
+            } else if (Array.isArray(value)) {
+                // 支持数组（特别是 TemplateResult 数组），每一项对应一个子插值
+                this._commitArray(value);
+            } else if (value instanceof UnsafeHTML) {
+                this._commitHTML(value.html);
+            } else if (this._isHTMLString(value)) {
+                this._commitHTML(value);
+            } else {
+                this._commitText(value);
+            }
+        }
+
+        _commitText(value) {
+            const text = value == null ? '' : String(value);
+            if (this._mode === 'text') {
+                this._textNode.data = text;
+                return;
+            }
+            this._clear();
+            this._mode = 'text';
+            this._textNode = document.createTextNode(text);
+            this._insert(this._textNode);
+        }
+
+        _commitHTML(htmlString) {
+            this._clear();
+            this._mode = 'html';
+            this._insert(parseHTML(htmlString, this._isSvg()));
+        }
+
+        _commitTemplate(result) {
+            // 模板结构相同时只更新 values
+            if (this._mode === 'template' && this._templateInstance.template.strings === result.strings) {
+                this._templateInstance.update(result.values);
+                return;
+            }
+
+            // 模板结构不同，或之前不是模板：清空并重新渲染
+            this._clear();
+            this._mode = 'template';
+            const instance = new TemplateInstance(getTemplate(result.strings, this._isSvg()), this.endNode.parentNode);
+            instance.update(result.values);
+            this._templateInstance = instance;
+            this._insert(instance._fragment);
+        }
+
+        _commitArray(items) {
+            if (this._mode !== 'array') {
+                this._clear();
+                this._mode = 'array';
+                this._itemParts = [];
+            }
+
+            if (this._commitFastList(items)) return;
+
+            if (this._fastList || this._chunkToken) {
+                // 快速路径生成的节点没有对应的子插值，切回普通列表时全部重建
+                this._clear();
+                this._mode = 'array';
+                this._itemParts = [];
+            }
+
+            // 所有项都带 key 时按 key 复用并移动 DOM，否则按下标更新
+            const keys = this._getItemKeys(items);
+            if (keys) {
+                if (!this._itemKeys) {
+                    // 之前按下标渲染的项没有 key，无法复用
+                    this._removeItemParts(0);
+                }
+                this._updateKeyed(items, keys);
+            } else {
+                this._itemKeys = null;
+                this._updateIndexed(items);
+            }
+        }
+
+        /**
+         * 在 container 中 before 之前创建列表项的子插值
+         */
+        _createItemPart(container, before) {
+            const start = document.createComment('');
+            const end = document.createComment('');
+            container.insertBefore(start, before);
+            container.insertBefore(end, before);
+            return new ChildPart(start, end, this._isSvg());
+        }
+
+        _removeItemParts(from) {
+            const parts = this._itemParts;
+            for (let i = parts.length - 1; i >= from; i--) {
+                parts[i]._remove();
+            }
+            parts.length = from;
+        }
+
+        /**
+         * 按下标更新：已有的项原地更新（值未变化的项由子插值自行跳过），多出的项追加，缺少的项移除
+         */
+        _updateIndexed(items) {
+            const parts = this._itemParts;
+            // 新增的项先各自渲染到独立的 fragment 中，再按顺序汇总，最后一次性插入
+            let fragment = null;
+            for (let i = 0; i < items.length; i++) {
+                if (parts[i]) {
+                    parts[i].setValue(items[i]);
+                    continue;
+                }
+                if (!fragment) fragment = document.createDocumentFragment();
+                const itemFragment = document.createDocumentFragment();
+                parts[i] = this._createItemPart(itemFragment, null);
+                parts[i].setValue(items[i]);
+                fragment.appendChild(itemFragment);
+            }
+            if (fragment) this._insert(fragment);
+            this._removeItemParts(items.length);
+        }
+
+        /**
+         * 收集列表项的 key；有任一项缺少 key 或 key 重复时返回 null（退回按下标更新）
+         */
+        _getItemKeys(items) {
+            if (!items.length) return this._itemKeys ? [] : null;
+
+            const keys = new Array(items.length);
+            const seen = new Set();
+            for (let i = 0; i < items.length; i++) {
+                const key = getItemKey(items[i]);
+                if (key == null) return null;
+                if (seen.has(key)) {
+                    console.warn(`列表中存在重复的 key "${String(key)}"，已退回按下标更新`);
+                    return null;
+                }
+                seen.add(key);
+                keys[i] = key;
+            }
+            return keys;
+        }
+
+        /**
+         * 带 key 的列表更新：相同 key 的项复用 DOM 和模板实例，
+         * 按最长递增子序列保留不动的项，只移动其余项
+         */
+        _updateKeyed(items, keys) {
+            const oldParts = this._itemParts;
+            const oldIndexByKey = new Map();
+            (this._itemKeys || []).forEach((key, i) => oldIndexByKey.set(key, i));
+
+            const newParts = new Array(items.length);
+            // 每个新项对应的旧下标，新建的项为 -1
+            const sources = new Array(items.length);
+            // 新建的项先渲染到各自的 fragment 中，确定位置后再插入
+            const fragments = new Array(items.length);
+            const reused = new Set();
+
+            for (let i = 0; i < items.length; i++) {
+                const oldIndex = oldIndexByKey.get(keys[i]);
+                let part;
+                if (oldIndex !== undefined) {
+                    part = oldParts[oldIndex];
+                    reused.add(part);
+                    sources[i] = oldIndex;
+                } else {
+                    fragments[i] = document.createDocumentFragment();
+                    part = this._createItemPart(fragments[i], null);
+                    sources[i] = -1;
+                }
+                // 同一 key 换了模板结构时，由该项自身重新渲染
+                part.setValue(items[i]);
+                newParts[i] = part;
+            }
+
+            oldParts.forEach(part => {
+                if (!reused.has(part)) part._remove();
+            });
+
+            const stable = new Set(longestIncreasingSubsequence(sources));
+            // 连续的新建项合并为一个 fragment 插入（run 中的下标为倒序）
+            let run = [];
+            const insertRun = anchor => {
+                if (!run.length) return anchor;
+                const fragment = document.createDocumentFragment();
+                for (let j = run.length - 1; j >= 0; j--) {
+                    fragment.appendChild(fragments[run[j]]);
+                }
+                this._insert(fragment, anchor);
+                const first = newParts[run[run.length - 1]].startNode;
+                run = [];
+                return first;
+            };
+
+            // 从后往前处理，每一项插到后一项之前
+            let anchor = this.endNode;
+            for (let i = newParts.length - 1; i >= 0; i--) {
+                if (fragments[i]) {
+                    run.push(i);
+                    continue;
+                }
+                anchor = insertRun(anchor);
+                const part = newParts[i];
+                if (!stable.has(i)) {
+                    part._nodes().forEach(node => this._insert(node, anchor));
+                }
+                anchor = part.startNode;
+            }
+            insertRun(anchor);
+
+            this._itemParts = newParts;
+            this._itemKeys = keys;
+        }
+
+        /**
+         * 大列表快速路径：同构的简单包裹模板（如 html`<li>${text}</li>`）拼接 HTML 后一次性解析，
+         * 再次更新时变化较少则只修改变化项的文本
+         * @returns {boolean} 是否已通过快速路径完成更新
+         */
+        _commitFastList(items) {
+            const length = items.length;
+            if (length < FAST_LIST_THRESHOLD || !(items[0] instanceof TemplateResult)) return false;
+            const simple = isSimpleWrapperTemplate(items[0]);
+            if (!simple) return false;
+
+            const baseStrings = items[0].strings;
+            const texts = new Array(length);
+            for (let i = 0; i < length; i++) {
+                const item = items[i];
+                if (!(item instanceof TemplateResult) || item.strings !== baseStrings ||
+                    item.values.length !== 1 || item.key !== undefined) {
+                    return false;
+                }
+                const v = item.values[0];
+                if (v !== null && typeof v === 'object') return false;
+                texts[i] = v == null ? '' : String(v);
+            }
+
+            const fast = this._fastList;
+            if (fast && fast.strings === baseStrings && fast.texts.length === length) {
+                // 变化的项较少（< 10%，至少 10 个）时只更新这些项
+                const maxChangesForDiff = Math.max(10, Math.floor(length * 0.1));
+                const changed = [];
+                for (let i = 0; i < length && changed.length <= maxChangesForDiff; i++) {
+                    if (texts[i] !== fast.texts[i]) changed.push(i);
+                }
+                if (changed.length <= maxChangesForDiff) {
+                    changed.forEach(i => {
+                        fast.elements[i].textContent = texts[i];
+                    });
+                    fast.texts = texts;
+                    return true;
+                }
+            }
+
+            // 变化量大或首次渲染：全量重建
+            this._clear();
+            this._mode = 'array';
+            this._itemParts = [];
+            if (!fast && length >= CHUNK_THRESHOLD) {
+                // 超大列表：分片追加
+                this._appendChunked(simple, baseStrings, texts);
+            } else {
+                const fragment = parseHTML(texts.map(text => simple.open + escapeHtml(text) + simple.close).join(''), this._isSvg());
+                const elements = Array.from(fragment.children);
+                this._insert(fragment);
+                this._fastList = { strings: baseStrings, texts, elements };
+            }
+            return true;
+        }
+
+        /**
+         * 分片追加超大列表，避免长时间阻塞主线程；期间有新的更新时中止
+         */
+        _appendChunked(simple, strings, texts) {
+            const token = {};
+            this._chunkToken = token;
+            const elements = [];
+            let i = 0;
+            const schedule = typeof requestIdleCallback === 'function' ? requestIdleCallback : fn => setTimeout(fn, 0);
+
+            const step = deadline => {
+                if (this._chunkToken !== token || !this.endNode.parentNode) return; // 已取消
+                const chunk = [];
+                const end = Math.min(i + CHUNK_SIZE, texts.length);
+                const canContinue = () => !deadline || (typeof deadline.timeRemaining === 'function' && deadline.timeRemaining() > 1);
+                while (i < end && canContinue()) {
+                    chunk.push(simple.open + escapeHtml(texts[i]) + simple.close);
+                    i++;
+                }
+                if (chunk.length) {
+                    const fragment = parseHTML(chunk.join(''), this._isSvg());
+                    for (let j = 0; j < fragment.children.length; j++) {
+                        elements.push(fragment.children[j]);
+                    }
+                    this._insert(fragment);
+                }
+                if (i < texts.length) {
+                    schedule(step);
+                } else {
+                    // 完成后再记录，避免中途的更新走增量路径
+                    this._chunkToken = null;
+                    this._fastList = { strings, texts, elements };
+                }
+            };
+
+            schedule(step);
+        }
+    }
+
+    /**
+     * 包含多个插值或静态文本的属性，如 class="btn ${kind} ${size}"、href="/users/${id}/edit"
+     * 每个插值对应一个 AttributeValuePart，一次更新中的所有值写入后再统一重建属性
+     */
+    class AttributePart {
+        constructor(node, name, strings) {
+            this.node = node;
+            this.name = name;
+            this.strings = strings;
+            this.values = new Array(strings.length - 1);
+            this.dirty = false;
+            this._committedValue = undefined;
+        }
+
+        _stringify(value) {
+            if (this.name === 'class') return classValueToString(value);
+            if (this.name === 'style' && value && typeof value === 'object') return styleObjectToString(value);
+            return value == null || value === false ? '' : String(value);
+        }
+
+        commit() {
+            if (!this.dirty) return;
+            this.dirty = false;
+
+            let value = this.strings[0];
+            for (let i = 0; i < this.values.length; i++) {
+                value += this._stringify(this.values[i]) + this.strings[i + 1];
+            }
+            if (value === this._committedValue) return;
+            this._committedValue = value;
+
+            if (this.name === 'key') {
+                // key 只用于列表更新时识别项，不写入 DOM
+            } else if (this.name === 'class') {
+                // 模板中的静态 class 与插值一起比较，保留其他代码添加的 class
+                this._classes = updateClassList(this.node, this._classes, value);
+            } else if (this.name === 'style') {
+                this.node.style.cssText = value;
+            } else {
+                this.node.setAttribute(this.name, value);
+            }
+        }
+    }
+
+    class AttributeValuePart {
+        constructor(attributePart, index) {
+            this.attributePart = attributePart;
+            this.index = index;
+            this.initialized = false;
+        }
+
+        setValue(value) {
+            if (value instanceof DirectiveResult) {
+                const attributePart = this.attributePart;
+                const resolved = resolveDirective(this, value, attributePart.node, attributePart.name, attributePart.values[this.index]);
+                if (resolved !== noChange) this._commitValue(resolved);
+                return;
+            }
+            this._directiveFn = null;
+            this._directiveState = null;
+            this._commitValue(value);
+        }
+
+        _setDirectiveValue(value) {
+            this._commitValue(value);
+            this.attributePart.commit();
+        }
+
+        _commitValue(value) {
+            const values = this.attributePart.values;
+            if (this.initialized && values[this.index] === value) return;
+            this.initialized = true;
+            values[this.index] = value;
+            this.attributePart.dirty = true;
+        }
+    }
+
     class TemplateResult {
         constructor(strings, values) {
             this.strings = strings;
@@ -860,6 +2343,8 @@
             );
 
             const parts = [];
+            const attributeParts = [];
+            const deferredParts = [];
             let node;
 
             while ((node = walker.nextNode())) {
@@ -872,11 +2357,29 @@
                     const attributes = node.attributes;
                     for (let i = 0; i < attributes.length; i++) {
                         const attr = attributes[i];
-                        const match = attr.value.match(MARKER_REGEX);
-                        if (match) {
-                            const index = parseInt(match[1]);
-                            const part = new TemplatePart(node, attr.name);
-                            parts[index] = part;
+                        const markers = attr.value.match(MARKER_REGEX_GLOBAL);
+                        if (markers) {
+                            if (markers.length === 1 && markers[0] === attr.value) {
+                                // 整个属性值只有一个插值：可以绑定事件、对象、prop 等任意值
+                                const index = parseInt(attr.value.match(MARKER_REGEX)[1]);
+                                const name = this._partName(attr.name, index);
+                                parts[index] = new TemplatePart(node, name);
+                                if (isModelBinding(name)) deferredParts.push(index);
+                            } else {
+                                // 多个插值或混有静态文本：按字符串拼接
+                                if ('@.?'.includes(attr.name[0])) {
+                                    throw new Error(
+                                        `${attr.name} 绑定的属性值必须只包含一个插值，不能与静态文本或其他插值拼接：` +
+                                        `${attr.name}="${attr.value.replace(MARKER_REGEX_GLOBAL, '${...}')}"`
+                                    );
+                                }
+                                const attributePart = new AttributePart(node, attr.name, attr.value.split(MARKER_REGEX_GLOBAL));
+                                markers.forEach((marker, j) => {
+                                    const index = parseInt(marker.match(MARKER_REGEX)[1]);
+                                    parts[index] = new AttributeValuePart(attributePart, j);
+                                });
+                                attributeParts.push(attributePart);
+                            }
                             node.removeAttribute(attr.name);
                             i--;
                         }
@@ -887,168 +2390,997 @@
                     const match = node.textContent.match(MARKER_REGEX);
                     if (match) {
                         const index = parseInt(match[1]);
-                        const textNode = document.createTextNode('');
-                        node.parentNode.insertBefore(textNode, node);
-                        const part = new TemplatePart(textNode, 'node');
-                        parts[index] = part;
+                        // 标记注释作为内容的结束位置，在它之前插入开始位置
+                        const start = document.createComment('');
+                        node.parentNode.insertBefore(start, node);
+                        parts[index] = new ChildPart(start, node, this.template.isSvg);
                     }
                 }
             }
 
             this.parts = parts;
+            this.attributeParts = attributeParts;
+            this.deferredParts = deferredParts;
             this._fragment = fragment;
         }
 
-        update(values) {
-            this.parts.forEach((part, index) => {
-                if (part) part.setValue(values[index]);
-            });
+        /**
+         * @event 与 .prop 绑定使用模板中原始大小写的名称，其他属性使用解析后的小写名称
+         */
+        _partName(name, index) {
+            const rawName = this.template.attributeNames[index];
+            if (rawName && rawName.toLowerCase() === name && (name[0] === '@' || name[0] === '.')) {
+                return rawName;
+            }
+            return name;
+        }
+
+        update(values) {
+            const deferredParts = this.deferredParts;
+            this.parts.forEach((part, index) => {
+                if (part && !deferredParts.includes(index)) part.setValue(values[index]);
+            });
+            // model 绑定在子节点（如 <select> 中的 <option>）渲染之后再写入
+            deferredParts.forEach(index => this.parts[index].setValue(values[index]));
+            // 多值属性在本次所有值写入后只提交一次
+            this.attributeParts.forEach(part => part.commit());
+        }
+
+        mount() {
+            this.container.appendChild(this._fragment);
+        }
+
+        /**
+         * 清空实例内（包括嵌套模板、列表项）所有元素引用
+         */
+        _releaseRefs() {
+            this.parts.forEach(part => {
+                if (part instanceof TemplatePart) part._releaseRefs();
+            });
+        }
+    }
+
+    class Template {
+        constructor(strings, isSvg = false) {
+            this.strings = strings;
+            // 用于 <svg> 内部的嵌套模板，需要按 SVG 命名空间解析
+            this.isSvg = isSvg;
+            // 模板字符串中原始大小写的属性名，按插值下标记录（HTML 解析后属性名会被转为小写）
+            this.attributeNames = [];
+            this.element = this._createElement(strings);
+            this.keyInfo = this._findKey();
+        }
+
+        /**
+         * 查找根元素上的 key 属性：动态绑定记录值的下标，静态属性记录值本身
+         */
+        _findKey() {
+            const root = this.element.content.firstElementChild;
+            if (!root || !root.hasAttribute('key')) return null;
+            const value = root.getAttribute('key');
+            const markers = value.match(MARKER_REGEX_GLOBAL);
+            if (!markers) return { value };
+            if (markers.length === 1 && markers[0] === value) {
+                return { index: parseInt(value.match(MARKER_REGEX)[1]) };
+            }
+            // key="row-${id}" 这类拼接的 key
+            return {
+                strings: value.split(MARKER_REGEX_GLOBAL),
+                indices: markers.map(marker => parseInt(marker.match(MARKER_REGEX)[1]))
+            };
+        }
+
+        _createElement(strings) {
+            const template = document.createElement('template');
+            let html = '';
+
+            for (let i = 0; i < strings.length; i++) {
+                html += strings[i];
+                if (i < strings.length - 1) {
+                    if (this._isAttributePosition(html)) {
+                        const match = html.match(/([^\s"'<>\/=]+)\s*=\s*["']?$/);
+                        if (match) this.attributeNames[i] = match[1];
+                        html += MARKER_PREFIX + i + MARKER_SUFFIX;
+                    } else {
+                        html += `<!--${MARKER_PREFIX}${i}${MARKER_SUFFIX}-->`;
+                    }
+                }
+            }
+
+            if (this.isSvg) {
+                template.innerHTML = `<svg>${html}</svg>`;
+                const svg = template.content.firstChild;
+                while (svg.firstChild) {
+                    template.content.insertBefore(svg.firstChild, svg);
+                }
+                template.content.removeChild(svg);
+            } else {
+                template.innerHTML = html;
+            }
+            return template;
+        }
+
+        _isAttributePosition(html) {
+            const lastOpenTag = html.lastIndexOf('<');
+            const lastCloseTag = html.lastIndexOf('>');
+            return lastOpenTag > lastCloseTag;
+        }
+    }
+
+    const templateCache = new Map();
+    const svgTemplateCache = new Map();
+
+    function getTemplate(strings, isSvg = false) {
+        const cache = isSvg ? svgTemplateCache : templateCache;
+        let template = cache.get(strings);
+        if (!template) {
+            template = new Template(strings, isSvg);
+            cache.set(strings, template);
+        }
+        return template;
+    }
+
+    function html(strings, ...values) {
+        return new TemplateResult(strings, values);
+    }
+
+    /**
+     * 不安全的 HTML - 用于插入原始 HTML（如插槽内容）
+     */
+    class UnsafeHTML {
+        constructor(html) {
+            this.html = html;
+        }
+    }
+
+    function unsafeHTML(htmlString) {
+        return new UnsafeHTML(htmlString);
+    }
+
+    /**
+     * 带 key 的列表渲染 - 列表更新时按 key 复用和移动 DOM，而不是按下标重新渲染
+     * @param {Iterable} items - 数据列表
+     * @param {Function} keyFn - (item, index) => key；省略时使用模板根元素上的 key 属性
+     * @param {Function} templateFn - (item, index) => TemplateResult
+     * @returns {TemplateResult[]}
+     */
+    function repeat(items, keyFn, templateFn) {
+        if (!templateFn) {
+            templateFn = keyFn;
+            keyFn = null;
+        }
+
+        const results = [];
+        let index = 0;
+        for (const item of items) {
+            const result = templateFn(item, index);
+            if (keyFn && result instanceof TemplateResult) {
+                result.key = keyFn(item, index);
+            }
+            results.push(result);
+            index++;
+        }
+        return results;
+    }
+
+    function render(result, container) {
+        if (!(result instanceof TemplateResult)) {
+            throw new Error('render() 需要 TemplateResult 参数');
+        }
+
+        if (!container._templateInstance ||
+            container._templateInstance.template.strings !== result.strings) {
+            if (container._templateInstance) container._templateInstance._releaseRefs();
+            container.innerHTML = '';
+            const template = getTemplate(result.strings);
+            const instance = new TemplateInstance(template, container);
+            container._templateInstance = instance;
+            instance.update(result.values);
+            instance.mount();
+        } else {
+            container._templateInstance.update(result.values);
+        }
+    }
+
+    // ========== 指令 ==========
+
+    /**
+     * 定义指令：fn(context, ...args) 在插值写入时执行，返回要写入的值，或返回 noChange 表示自行处理了 DOM
+     * context 包含 part、node、name（属性名，子节点插值为 'node'）、previousValue、
+     * state（同一插值位置上跨渲染保留的对象）和 setValue（异步写入新值）
+     *
+     * @example
+     * const upper = directive((ctx, text) => String(text).toUpperCase());
+     * html`<p>${upper(name())}</p>`
+     */
+    function directive(fn) {
+        return (...args) => new DirectiveResult(fn, args);
+    }
+
+    // 整个属性值只有一个插值时才能直接操作 DOM，拼接在属性值中时只能返回字符串
+    function isWholeAttribute(part, name) {
+        return part instanceof TemplatePart && !(part instanceof ChildPart) && part.name === name;
+    }
+
+    /**
+     * classMap({ active: isActive }) - 只增删变化的 class，不影响其他代码添加的 class
+     */
+    const classMap = directive(({ part, node, state }, classes) => {
+        if (!isWholeAttribute(part, 'class')) return classValueToString(classes);
+        state.classes = updateClassList(node, state.classes, classes);
+        return noChange;
+    });
+
+    /**
+     * styleMap({ color, '--gap': '4px', fontSize: '12px !important' }) - 只设置 / 移除变化的样式属性
+     */
+    const styleMap = directive(({ part, node, state }, styles) => {
+        if (!isWholeAttribute(part, 'style')) return styleObjectToString(styles || {});
+        state.styles = updateStyleProperties(node, state.styles, styles);
+        return noChange;
+    });
+
+    /**
+     * ref(refObject | callback) - 获取插值所在的元素
+     */
+    const ref = directive(({ part }, target) => {
+        if (part instanceof TemplatePart) part._setRef(target);
+        return noChange;
+    });
+
+    /**
+     * live(value) - 与 DOM 中的当前值比较而不是上次渲染的值，用于用户可能修改过的 .value / .checked 等
+     */
+    const live = directive(({ part, node, name }, value) => {
+        if (!(part instanceof TemplatePart) || part instanceof ChildPart) return value;
+        if (name.startsWith('.')) {
+            if (Object.is(node[name.slice(1)], value)) return noChange;
+        } else {
+            const current = node.getAttribute(name);
+            const next = value == null || value === false ? null : value === true ? '' : String(value);
+            if (current === next) return noChange;
+        }
+        // 上次渲染的值可能与新值相同，清掉以保证写入
+        part.value = noChange;
+        return value;
+    });
+
+    /**
+     * guard(deps, fn) - 依赖（逐项 Object.is 比较）不变时跳过 fn 和整个插值的更新
+     */
+    const guard = directive(({ state }, deps, fn) => {
+        const list = Array.isArray(deps) ? deps : [deps];
+        const prev = state.deps;
+        if (prev && prev.length === list.length && prev.every((dep, i) => Object.is(dep, list[i]))) {
+            return noChange;
+        }
+        state.deps = list.slice();
+        return fn();
+    });
+
+    /**
+     * cache(value) - 在不同模板之间切换时保留之前的 DOM 和模板实例，切回时直接复用
+     */
+    const cache = directive(({ part, state }, value) => {
+        if (!(part instanceof ChildPart)) return value;
+        const templates = state.templates || (state.templates = new Map());
+        const current = part._mode === 'template' ? part._templateInstance : null;
+        if (current && value instanceof TemplateResult && current.template.strings === value.strings) {
+            return value;
+        }
+        if (current) {
+            templates.set(current.template.strings, { instance: current, fragment: part._detach() });
+            part.value = undefined;
+        }
+        if (value instanceof TemplateResult) {
+            const cached = templates.get(value.strings);
+            if (cached) {
+                templates.delete(value.strings);
+                part._restoreTemplate(cached.instance, cached.fragment);
+                cached.instance.update(value.values);
+                part.value = value;
+                return noChange;
+            }
+        }
+        return value;
+    });
+
+    /**
+     * until(promise, placeholder) - promise 完成前显示 placeholder，完成后显示结果；
+     * 传入新的 promise 后，旧 promise 的结果会被忽略
+     */
+    const until = directive(({ state, setValue }, promise, placeholder) => {
+        if (state.promise === promise) return noChange;
+        state.promise = promise;
+        if (!promise || typeof promise.then !== 'function') return promise;
+        promise.then(value => {
+            if (state.promise === promise) setValue(value);
+        }, err => {
+            console.error('until() 中的 promise 被拒绝:', err);
+        });
+        return placeholder;
+    });
+
+    // ========== 组件系统 ==========
+
+    let currentComponentStates = null;
+    let currentStateIndex = 0;
+    let currentInstance = null; // 当前组件实例
+    let currentRenderingComponent = null; // 当前正在渲染的组件（用于传递给子组件）
+
+    // 生命周期钩子
+    const onMountedCallbacks = [];
+    const onUnmountedCallbacks = [];
+
+    /**
+     * 注册 mounted 生命周期钩子
+     */
+    function onMounted(callback) {
+        if (!currentInstance) {
+            throw new Error('onMounted 必须在组件 setup 函数中调用');
+        }
+        currentInstance._onMountedCallbacks.push(callback);
+    }
+
+    /**
+     * 注册 unmounted 生命周期钩子
+     */
+    function onUnmounted(callback) {
+        if (!currentInstance) {
+            throw new Error('onUnmounted 必须在组件 setup 函数中调用');
+        }
+        currentInstance._onUnmountedCallbacks.push(callback);
+    }
+
+    /**
+     * 注册错误捕获钩子：捕获后代组件在 setup、渲染、侦听器、生命周期钩子中抛出的错误
+     * 回调签名 (err, instance, info)，返回 false 时阻止错误继续向上冒泡
+     */
+    function onErrorCaptured(handler) {
+        if (!currentInstance) {
+            throw new Error('onErrorCaptured 必须在组件 setup 函数中调用');
+        }
+        currentInstance._errorCapturedHooks.push(handler);
+    }
+
+    /**
+     * 极简 useState - 一个函数搞定 get/set
+     * @param {any} initialValue - 初始值
+     * @returns {Function} 状态函数：无参数时返回值，有参数时设置值
+     */
+    function useState(initialValue) {
+        return createComponentState(initialValue, reactive);
+    }
+
+    /**
+     * 浅层状态 - 值本身不会被代理，只有整体替换（state(newValue)）才会触发更新
+     * 适合大型不可变数据、第三方类实例、DOM 节点等
+     */
+    useState.shallow = function (initialValue) {
+        return createComponentState(initialValue, shallowReactive);
+    };
+
+    function createComponentState(initialValue, createState) {
+        if (!currentComponentStates) {
+            throw new Error('useState 必须在组件渲染函数中调用');
+        }
+
+        const index = currentStateIndex++;
+        const states = currentComponentStates;
+
+        if (!states[index]) {
+            const state = createState({ value: initialValue });
+
+            // 创建一个稳定的函数引用（只创建一次）
+            states[index] = { state, func: createStateFunction(state) };
+        }
+
+        // 返回已缓存的函数引用
+        return states[index].func;
+    }
+
+    /**
+     * 元素引用：配合 ref=${myRef} 使用，元素创建后 myRef.current 指向它，移除后为 null
+     * 不是响应式的，修改 current 不会触发渲染
+     */
+    function useRef(initialValue = null) {
+        if (!currentComponentStates) {
+            throw new Error('useRef 必须在组件 setup 或渲染函数中调用');
+        }
+
+        const index = currentStateIndex++;
+        const states = currentComponentStates;
+
+        if (!states[index]) {
+            states[index] = { ref: { current: initialValue } };
+        }
+        return states[index].ref;
+    }
+
+    // 与 RxJS 等库互通使用的 observable 标记
+    const observableSymbol = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+    /**
+     * 基于 { value } 响应式对象创建 get/set 一体的状态函数
+     */
+    function createStateFunction(state) {
+        const stateFunc = function (newValue) {
+            if (arguments.length === 0) {
+                return state.value;
+            } else {
+                state.value = newValue;
+            }
+        };
+        // 读取当前值但不订阅
+        stateFunc.peek = () => untrack(() => state.value);
+        // 在组件之外订阅变化：立即以当前值调用一次，之后每次值变化时同步调用，返回取消订阅函数
+        stateFunc.subscribe = callback => watch(() => state.value, value => callback(value), {
+            immediate: true,
+            flush: 'sync'
+        });
+        stateFunc[observableSymbol] = () => toObservable(stateFunc);
+        return stateFunc;
+    }
+
+    /**
+     * 将状态函数包装为 TC39 Observable 风格的对象
+     */
+    function toObservable(stateFunc) {
+        const observable = {
+            subscribe(observer) {
+                const next = typeof observer === 'function'
+                    ? observer
+                    : value => observer && observer.next && observer.next(value);
+                const unsubscribe = stateFunc.subscribe(next);
+                return { unsubscribe };
+            },
+            [observableSymbol]() {
+                return observable;
+            }
+        };
+        return observable;
+    }
+
+    /**
+     * 独立的响应式状态 - 与 useState 调用方式相同，可在组件之外的任何地方创建
+     * @param {any} initialValue - 初始值
+     * @returns {Function} 状态函数：无参数时返回值，有参数时设置值；带有 peek() 和 subscribe(callback)
+     *
+     * 与 useState 不同，signal 不按调用顺序缓存，组件内部请继续使用 useState
+     */
+    function signal(initialValue) {
+        return createStateFunction(reactive({ value: initialValue }));
+    }
+
+    /**
+     * 从 Observable（RxJS、Svelte store 等带 subscribe 方法的对象）创建状态函数
+     * @param {object} observable - 实现了 subscribe 或 Symbol.observable 的对象
+     * @param {any} [initialValue] - 第一次推送之前的值
+     * @returns {Function} 状态函数，值随 observable 推送更新
+     *
+     * 在组件或 effectScope 中调用时，作用域停止后自动取消订阅
+     */
+    function fromObservable(observable, initialValue) {
+        const stateFunc = signal(initialValue);
+        const instance = currentInstance;
+        const next = value => stateFunc(value);
+
+        // 标准 Observable 接收 observer 对象；Svelte store 等只接收回调函数
+        const subscription = typeof observable[observableSymbol] === 'function'
+            ? observable[observableSymbol]().subscribe({
+                next,
+                error: err => handleError(err, instance, 'observable')
+            })
+            : observable.subscribe(next);
+        const unsubscribe = () => {
+            if (typeof subscription === 'function') {
+                subscription();
+            } else if (subscription && typeof subscription.unsubscribe === 'function') {
+                subscription.unsubscribe();
+            }
+        };
+
+        if (activeEffectScope) {
+            onScopeDispose(unsubscribe);
+        }
+        stateFunc.unsubscribe = unsubscribe;
+        return stateFunc;
+    }
+
+    /**
+     * 持久化状态 - 与 useState 用法相同，值保存在 localStorage / sessionStorage 中
+     * @param {string} key - 存储键名
+     * @param {any} initialValue - 存储中没有（或无法解析）数据时的初始值
+     * @param {object} [options]
+     * @param {'local'|'session'|Storage} [options.storage] - 存储位置，默认 localStorage
+     * @param {Function} [options.serialize] - 序列化函数，默认 JSON.stringify
+     * @param {Function} [options.deserialize] - 反序列化函数，默认 JSON.parse
+     * @param {number} [options.version] - 数据版本号，默认 0
+     * @param {Function} [options.migrate] - (oldValue, oldVersion) => newValue，版本不一致时迁移数据
+     * @param {number} [options.debounce] - 写入存储的防抖时间（毫秒），默认 100
+     * @returns {Function} 状态函数：无参数时返回值，有参数时设置值
+     *
+     * 存储中保存的是 serialize({ version, value }) 的结果；其他标签页修改同一个 key 时自动同步
+     */
+    function usePersistentState(key, initialValue, options = {}) {
+        if (!currentComponentStates) {
+            throw new Error('usePersistentState 必须在组件渲染函数中调用');
+        }
+
+        const index = currentStateIndex++;
+        const states = currentComponentStates;
+
+        if (!states[index]) {
+            states[index] = { ...createPersistentState(key, initialValue, options), scoped: true };
+        } else if (states[index].attach) {
+            // 组件重新挂载：重新连接存储的侦听器和事件
+            states[index].attach();
+        }
+
+        return states[index].func;
+    }
+
+    function resolveStorage(storage) {
+        if (storage && typeof storage === 'object') return storage;
+        try {
+            return storage === 'session' ? window.sessionStorage : window.localStorage;
+        } catch (err) {
+            // 隐私模式等环境下访问 Storage 会抛错，此时退化为普通状态
+            return null;
+        }
+    }
+
+    function createPersistentState(key, initialValue, options) {
+        const {
+            serialize = JSON.stringify,
+            deserialize = JSON.parse,
+            version = 0,
+            migrate = null,
+            debounce = 100
+        } = options;
+        const storage = resolveStorage(options.storage);
+
+        // 解析存储中的数据，返回 { found, value }
+        const parse = raw => {
+            if (raw == null) return { found: false };
+            try {
+                const data = deserialize(raw);
+                if (!data || typeof data !== 'object' || !('value' in data)) {
+                    throw new Error('数据格式不正确');
+                }
+
+                const storedVersion = data.version == null ? 0 : data.version;
+                if (storedVersion === version) {
+                    return { found: true, value: data.value };
+                }
+                if (migrate) {
+                    return { found: true, value: migrate(data.value, storedVersion) };
+                }
+                return { found: false };
+            } catch (err) {
+                console.warn(`usePersistentState: 无法读取 "${key}" 的存储数据，已使用初始值`, err);
+                return { found: false };
+            }
+        };
+
+        const read = () => {
+            try {
+                return parse(storage.getItem(key));
+            } catch (err) {
+                return { found: false };
+            }
+        };
+
+        const stored = storage ? read() : { found: false };
+        const state = reactive({ value: stored.found ? stored.value : initialValue });
+        const func = createStateFunction(state);
+
+        if (!storage) {
+            return { state, func };
+        }
+
+        let writeTimer = null;
+        let attached = false;
+
+        const serializeState = () => serialize({ version, value: toRaw(state.value) });
+        // 最近一次与存储同步的数据，用于判断断开期间本地是否有修改
+        let synced = null;
+
+        const write = () => {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+            try {
+                const data = serializeState();
+                synced = data;
+                // 与存储中一致时（例如刚从其他标签页同步过来）不再写入
+                if (storage.getItem(key) !== data) {
+                    storage.setItem(key, data);
+                }
+            } catch (err) {
+                console.warn(`usePersistentState: 无法写入 "${key}"`, err);
+            }
+        };
+
+        // 其他标签页修改了同一个 key
+        const onStorage = e => {
+            if (e.storageArea !== storage || (e.key !== null && e.key !== key)) return;
+            const next = parse(e.newValue);
+            state.value = next.found ? next.value : initialValue;
+        };
+
+        /**
+         * 连接存储：侦听状态写入存储、同步其他标签页的修改；所在作用域停止时断开，
+         * 组件重新挂载时再次调用（断开期间本地有修改则写入，否则读取存储中的新值）
+         */
+        const attach = () => {
+            if (attached) return;
+            if (synced !== null) {
+                let current = null;
+                try {
+                    current = serializeState();
+                } catch (err) {
+                    // 序列化失败时交给 write 输出警告
+                }
+                if (current !== synced) {
+                    write();
+                } else {
+                    const next = read();
+                    if (next.found) state.value = next.value;
+                }
+            }
+            attached = true;
+
+            const stopWatch = watch(() => state.value, () => {
+                clearTimeout(writeTimer);
+                writeTimer = setTimeout(write, debounce);
+            }, { deep: true });
+
+            window.addEventListener('storage', onStorage);
+            // 页面关闭前写入尚未落盘的修改（write 会跳过未变化的数据）
+            window.addEventListener('pagehide', write);
+
+            if (activeEffectScope) {
+                onScopeDispose(() => {
+                    stopWatch();
+                    write();
+                    window.removeEventListener('storage', onStorage);
+                    window.removeEventListener('pagehide', write);
+                    attached = false;
+                });
+            }
+        };
+
+        attach();
+        try {
+            synced = serializeState();
+        } catch (err) {
+            synced = null;
         }
 
-        mount() {
-            this.container.appendChild(this._fragment);
-        }
+        return { state, func, attach };
     }
 
-    class Template {
-        constructor(strings) {
-            this.strings = strings;
-            this.element = this._createElement(strings);
+    /**
+     * 组件内的计算属性 - 与 useState 一样按调用顺序缓存，在 setup 或渲染函数中调用都返回同一个函数
+     * 在组件外调用时等同于 computed()
+     * @param {Function|{get: Function, set?: Function}} getterOrOptions - 计算函数，或 { get, set }
+     * @returns {Function} 计算函数
+     */
+    function useComputed(getterOrOptions) {
+        if (!currentComponentStates) {
+            return computed(getterOrOptions);
         }
 
-        _createElement(strings) {
-            const template = document.createElement('template');
-            let html = '';
-
-            for (let i = 0; i < strings.length; i++) {
-                html += strings[i];
-                if (i < strings.length - 1) {
-                    if (this._isAttributePosition(html)) {
-                        html += MARKER_PREFIX + i + MARKER_SUFFIX;
-                    } else {
-                        html += `<!--${MARKER_PREFIX}${i}${MARKER_SUFFIX}-->`;
-                    }
-                }
-            }
+        const index = currentStateIndex++;
+        const states = currentComponentStates;
 
-            template.innerHTML = html;
-            return template;
+        if (!states[index]) {
+            states[index] = { func: computed(getterOrOptions), scoped: true };
         }
 
-        _isAttributePosition(html) {
-            const lastOpenTag = html.lastIndexOf('<');
-            const lastCloseTag = html.lastIndexOf('>');
-            return lastOpenTag > lastCloseTag;
-        }
+        return states[index].func;
     }
 
-    const templateCache = new Map();
+    /**
+     * 撤销 / 重做历史 - 记录 useState 函数或 reactive 对象的快照
+     * @param {Function|object} source - useState 函数或 reactive() 对象
+     * @param {object} [options]
+     * @param {number} [options.capacity] - 最多保留的历史记录数，默认 100
+     * @param {number} [options.debounce] - 合并连续修改的时间（毫秒），默认 0（同一轮中的修改合并为一条）
+     * @returns {{ undo: Function, redo: Function, canUndo: Function, canRedo: Function, clear: Function }}
+     *
+     * canUndo() / canRedo() 是响应式的，可以直接在渲染函数中使用
+     */
+    function useHistory(source, options = {}) {
+        if (!currentComponentStates) {
+            return createHistory(source, options);
+        }
 
-    function getTemplate(strings) {
-        let template = templateCache.get(strings);
-        if (!template) {
-            template = new Template(strings);
-            templateCache.set(strings, template);
+        const index = currentStateIndex++;
+        const states = currentComponentStates;
+
+        if (!states[index]) {
+            states[index] = { func: createHistory(source, options), scoped: true };
         }
-        return template;
-    }
 
-    function html(strings, ...values) {
-        return new TemplateResult(strings, values);
+        return states[index].func;
     }
 
     /**
-     * 不安全的 HTML - 用于插入原始 HTML（如插槽内容）
+     * 深拷贝快照，优先使用 structuredClone（支持 Map / Set / Date），不可用时退化为 JSON
      */
-    class UnsafeHTML {
-        constructor(html) {
-            this.html = html;
+    function cloneSnapshot(value) {
+        const raw = toRaw(value);
+        if (!raw || typeof raw !== 'object') return raw;
+        if (typeof structuredClone === 'function') {
+            try {
+                return structuredClone(raw);
+            } catch (err) {
+                // 包含函数或代理对象时无法 structuredClone
+            }
         }
+        return JSON.parse(JSON.stringify(raw));
     }
 
-    function unsafeHTML(htmlString) {
-        return new UnsafeHTML(htmlString);
-    }
-
-    function render(result, container) {
-        if (!(result instanceof TemplateResult)) {
-            throw new Error('render() 需要 TemplateResult 参数');
+    function createHistory(source, options) {
+        const { capacity = 100, debounce = 0 } = options;
+        const isStateFunc = typeof source === 'function';
+        if (!isStateFunc && !isProxy(source)) {
+            throw new Error('useHistory 需要 useState 函数或 reactive 对象');
         }
 
-        if (!container._templateInstance ||
-            container._templateInstance.template.strings !== result.strings) {
-            container.innerHTML = '';
-            const template = getTemplate(result.strings);
-            const instance = new TemplateInstance(template, container);
-            container._templateInstance = instance;
-            instance.update(result.values);
-            instance.mount();
-        } else {
-            container._templateInstance.update(result.values);
-        }
-    }
+        const read = () => (isStateFunc ? source() : source);
+        const stacks = shallowReactive({ past: [], future: [] });
+        let current = cloneSnapshot(read());
+        let restoring = false;
+        let timer = null;
+
+        const commit = () => {
+            clearTimeout(timer);
+            timer = null;
+            const past = stacks.past.concat([current]);
+            if (past.length > capacity) {
+                past.splice(0, past.length - capacity);
+            }
+            stacks.past = past;
+            stacks.future = [];
+            current = cloneSnapshot(read());
+        };
 
-    // ========== 组件系统 ==========
+        // 默认 flush 下同一轮中的多次修改只回调一次，即合并为一条历史记录
+        const stopWatch = watch(read, () => {
+            if (restoring) {
+                current = cloneSnapshot(read());
+                return;
+            }
+            if (debounce > 0) {
+                clearTimeout(timer);
+                timer = setTimeout(commit, debounce);
+            } else {
+                commit();
+            }
+        }, { deep: true });
 
-    let currentComponentStates = null;
-    let currentStateIndex = 0;
-    let currentInstance = null; // 当前组件实例
-    let currentRenderingComponent = null; // 当前正在渲染的组件（用于传递给子组件）
+        const flushPending = () => {
+            if (timer !== null) commit();
+        };
 
-    // 生命周期钩子
-    const onMountedCallbacks = [];
-    const onUnmountedCallbacks = [];
+        const apply = snapshot => {
+            restoring = true;
+            const value = cloneSnapshot(snapshot);
+            if (isStateFunc) {
+                source(value);
+            } else if (Array.isArray(toRaw(source))) {
+                source.splice(0, source.length, ...value);
+            } else {
+                Object.keys(toRaw(source)).forEach(key => {
+                    if (!(key in value)) delete source[key];
+                });
+                Object.assign(source, value);
+            }
+            current = snapshot;
+            // 恢复触发的侦听回调在本轮更新中执行，结束后恢复记录
+            nextTick(() => {
+                restoring = false;
+            });
+        };
 
-    /**
-     * 注册 mounted 生命周期钩子
-     */
-    function onMounted(callback) {
-        if (!currentInstance) {
-            throw new Error('onMounted 必须在组件 setup 函数中调用');
-        }
-        currentInstance._onMountedCallbacks.push(callback);
-    }
+        const undo = () => {
+            flushPending();
+            if (!stacks.past.length) return;
+            const past = stacks.past.slice();
+            const snapshot = past.pop();
+            stacks.future = [current].concat(stacks.future);
+            stacks.past = past;
+            apply(snapshot);
+        };
 
-    /**
-     * 注册 unmounted 生命周期钩子
-     */
-    function onUnmounted(callback) {
-        if (!currentInstance) {
-            throw new Error('onUnmounted 必须在组件 setup 函数中调用');
+        const redo = () => {
+            flushPending();
+            if (!stacks.future.length) return;
+            const future = stacks.future.slice();
+            const snapshot = future.shift();
+            stacks.past = stacks.past.concat([current]);
+            stacks.future = future;
+            apply(snapshot);
+        };
+
+        const clear = () => {
+            clearTimeout(timer);
+            timer = null;
+            stacks.past = [];
+            stacks.future = [];
+            current = cloneSnapshot(read());
+        };
+
+        if (activeEffectScope) {
+            onScopeDispose(() => {
+                stopWatch();
+                clearTimeout(timer);
+            });
         }
-        currentInstance._onUnmountedCallbacks.push(callback);
+
+        return {
+            undo,
+            redo,
+            clear,
+            canUndo: () => stacks.past.length > 0,
+            canRedo: () => stacks.future.length > 0
+        };
     }
 
     /**
-     * 极简 useState - 一个函数搞定 get/set
-     * @param {any} initialValue - 初始值
-     * @returns {Function} 状态函数：无参数时返回值，有参数时设置值
+     * 异步资源 - 管理请求的 data / loading / error，并处理竞态和卸载
+     * @param {Function} fetcher - ({ signal }) => Promise，signal 为 AbortSignal，请求过期或组件卸载时中止
+     * @param {object} [options]
+     * @param {Function|object|Array} [options.deps] - 依赖源（同 watch 的 source），变化时重新请求；
+     *   不传时追踪 fetcher 中同步读取的响应式数据
+     * @param {any} [options.initialValue] - 请求完成前 data() 的值
+     * @returns {{ data: Function, loading: Function, error: Function, refetch: Function }}
+     *
+     * 只有最后一次请求的结果会写入状态；组件卸载后到达的响应会被丢弃
      */
-    function useState(initialValue) {
+    function useResource(fetcher, options = {}) {
         if (!currentComponentStates) {
-            throw new Error('useState 必须在组件渲染函数中调用');
+            return createResource(fetcher, options).resource;
         }
 
         const index = currentStateIndex++;
         const states = currentComponentStates;
 
         if (!states[index]) {
-            const state = reactive({ value: initialValue });
+            const { resource, attach } = createResource(fetcher, options);
+            states[index] = { func: resource, attach, scoped: true };
+        } else {
+            // 组件重新挂载：重新建立依赖追踪并重新请求
+            states[index].attach();
+        }
 
-            // 创建一个稳定的函数引用（只创建一次）
-            const stateFunc = function (newValue) {
-                if (arguments.length === 0) {
-                    return state.value;
-                } else {
-                    state.value = newValue;
-                }
-            };
+        return states[index].func;
+    }
+
+    function createResource(fetcher, options) {
+        const { deps } = options;
+        // 请求结果整体替换，不需要深层响应
+        const state = shallowReactive({
+            data: options.initialValue,
+            loading: false,
+            error: null
+        });
+
+        let controller = null;
+        let requestId = 0;
+        let disposed = true;
+
+        const load = () => {
+            // 所在作用域已停止（组件已卸载）时不发起请求，避免 loading 停留在 true
+            if (disposed) return Promise.resolve(state.data);
+
+            // 新请求开始时中止上一个尚未完成的请求
+            if (controller) controller.abort();
+            const current = controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const id = ++requestId;
+            const isStale = () => disposed || id !== requestId;
+
+            state.loading = true;
+            state.error = null;
+
+            let result;
+            try {
+                result = fetcher({ signal: current ? current.signal : undefined });
+            } catch (err) {
+                result = Promise.reject(err);
+            }
+
+            return Promise.resolve(result).then(value => {
+                if (isStale()) return;
+                controller = null;
+                batch(() => {
+                    state.data = value;
+                    state.loading = false;
+                });
+                return value;
+            }, err => {
+                if (isStale()) return;
+                controller = null;
+                batch(() => {
+                    state.error = err;
+                    state.loading = false;
+                });
+            });
+        };
+
+        /**
+         * 建立依赖追踪并发起首次请求；所在作用域停止时中止请求，组件重新挂载时再次调用
+         */
+        const attach = () => {
+            if (!disposed) return;
+            disposed = false;
+
+            if (deps) {
+                watch(deps, () => {
+                    load();
+                }, { immediate: true });
+            } else {
+                const job = () => {
+                    if (runner.active) runner();
+                };
+                job.pre = true;
+                const runner = effect(load, {
+                    lazy: true,
+                    scheduler: () => queueJob(job)
+                });
+                runner();
+            }
+
+            if (activeEffectScope) {
+                onScopeDispose(() => {
+                    disposed = true;
+                    if (controller) {
+                        controller.abort();
+                        controller = null;
+                    }
+                    state.loading = false;
+                });
+            }
+        };
+
+        attach();
+
+        const resource = {
+            data: () => state.data,
+            loading: () => state.loading,
+            error: () => state.error,
+            // 手动重新请求，不改变依赖追踪；返回的 Promise 在请求完成后 resolve 为数据
+            refetch: () => untrack(load)
+        };
+        return { resource, attach };
+    }
 
-            states[index] = { state, func: stateFunc };
+    /**
+     * 获取父组件：优先使用渲染时记录的 _parentComponent，否则沿 DOM 向上查找（如插槽内容）
+     */
+    function getParentComponent(el) {
+        if (el._parentComponent) return el._parentComponent;
+        let node = el.parentNode;
+        while (node) {
+            if (node._isReactiveComponent) return node;
+            node = node.parentNode || node.host;
         }
+        return null;
+    }
 
-        // 返回已缓存的函数引用
-        return states[index].func;
+    /**
+     * 计算组件在组件树中的深度（祖先中组件的数量）
+     */
+    function getComponentDepth(el) {
+        let depth = 0;
+        let node = el.parentNode;
+        while (node) {
+            if (node._isReactiveComponent) depth++;
+            node = node.parentNode || node.host;
+        }
+        return depth;
     }
 
     /**
@@ -1123,7 +3455,12 @@
                 this._setupCompleted = false; // setup 是否已完成
                 this._onMountedCallbacks = [];
                 this._onUnmountedCallbacks = [];
+                this._scope = effectScope(true); // 收集渲染 effect、侦听器、计算属性等，卸载时统一停止
+                this._unmountPending = false; // 已断开、等待微任务中卸载
+                this._renderSkipped = false; // 断开期间是否跳过了渲染
+                this._errorCapturedHooks = [];
                 this._slotContent = null; // 用于缓存 Light DOM slot 内容
+                this._isReactiveComponent = true;
 
                 // 使用 Object.defineProperty 为每个可能的 prop 创建 setter
                 // 这样可以拦截属性设置，实现响应式
@@ -1188,6 +3525,22 @@
             // }
 
             connectedCallback() {
+                // 排队中的回调执行时元素可能已被移出文档（例如错误边界替换了插槽内容），此时不执行 setup 和渲染
+                if (!this.isConnected) return;
+
+                // 在 DOM 中移动（先断开再连接）时取消尚未执行的卸载，setup 中创建的 effect 保持不变
+                if (this._unmountPending) {
+                    this._unmountPending = false;
+                    this._mounted = true;
+                    // 断开期间有渲染被跳过时补上（此时 effect 没有收集到依赖）；
+                    // 否则依赖仍然有效，列表重排等移动不需要重新渲染
+                    if (this._renderSkipped && this._effect) {
+                        this._renderSkipped = false;
+                        this._effect();
+                    }
+                    return;
+                }
+
                 this._mounted = true;
 
                 // 保存 Light DOM 内容（在 connectedCallback 时才有内容）
@@ -1198,20 +3551,48 @@
                 // 第一次挂载时执行 setup
                 if (!this._setupCompleted) {
                     this._runSetup();
+                    // setup 出错时不渲染，下次挂载时重新执行 setup
+                    if (!this._setupCompleted) return;
                 }
 
                 // 设置响应式渲染
                 this._setupEffect();
 
                 // 执行 onMounted 回调
-                this._onMountedCallbacks.forEach(cb => cb());
+                this._onMountedCallbacks.forEach(cb => callWithErrorHandling(cb, this, 'mounted hook'));
             }
 
             disconnectedCallback() {
+                // 从未真正挂载过（见 connectedCallback）
+                if (!this._mounted) return;
                 this._mounted = false;
 
+                // 卸载推迟到微任务中执行：appendChild 到其他位置、列表重排等移动操作会在此之前重新连接
+                this._unmountPending = true;
+                resolvedPromise.then(() => {
+                    if (!this._unmountPending) return;
+                    this._unmountPending = false;
+                    this._unmount();
+                });
+            }
+
+            _unmount() {
+                // 停止作用域：渲染 effect 以及 setup 中创建的侦听器、计算属性、订阅等一并释放
+                this._scope.stop();
+                this._effect = null;
+
+                // 元素已移出文档，清空模板中的 ref；重新挂载渲染时会再次设置
+                const instance = this._container && this._container._templateInstance;
+                if (instance) instance._releaseRefs();
+
                 // 执行 onUnmounted 回调
-                this._onUnmountedCallbacks.forEach(cb => cb());
+                this._onUnmountedCallbacks.forEach(cb => callWithErrorHandling(cb, this, 'unmounted hook'));
+
+                // 重新挂载时重新执行 setup，重建侦听器、计算属性等 effect；
+                // useState / useRef 的状态保留，可以重新连接（attach）的状态由 hook 重新连接，
+                // 其余依赖组件作用域的状态（scoped）由 setup 重新创建
+                this._resetSetup(this._states.map(entry => entry && (!entry.scoped || entry.attach) ? entry : undefined));
+                this._setupCompleted = false;
             }
 
             _runSetup() {
@@ -1227,8 +3608,8 @@
                     // 构建 props 对象
                     const props = this._buildProps();
 
-                    // 执行 setup 函数（只执行一次）
-                    const result = isDestructured ? setupFn.call(this, props) : setupFn.call(this, props);
+                    // 执行 setup 函数（只执行一次），其中创建的 effect 归属于组件作用域
+                    const result = this._scope.run(() => isDestructured ? setupFn.call(this, props) : setupFn.call(this, props));
 
                     // setup 应该返回渲染函数
                     if (typeof result === 'function') {
@@ -1241,6 +3622,10 @@
                     }
 
                     this._setupCompleted = true;
+                } catch (err) {
+                    // 丢弃 setup 中途产生的状态和钩子，避免留下初始化一半的组件
+                    this._resetSetup();
+                    handleError(err, this, 'setup');
                 } finally {
                     currentComponentStates = prevStates;
                     currentStateIndex = prevIndex;
@@ -1248,6 +3633,16 @@
                 }
             }
 
+            _resetSetup(states = []) {
+                this._scope.stop();
+                this._scope = effectScope(true);
+                this._states = states;
+                this._renderFn = null;
+                this._onMountedCallbacks = [];
+                this._onUnmountedCallbacks = [];
+                this._errorCapturedHooks = [];
+            }
+
             _buildProps() {
                 const props = {};
 
@@ -1330,12 +3725,25 @@
                     this._container = this
                 }
 
+                // 已存在有效的渲染 effect 时不重复创建（重新挂载时旧 effect 已在卸载时停止）
+                if (this._effect && this._effect.active) return;
+
+                // 卸载时作用域已停止，重新挂载时创建新的作用域
+                if (!this._scope.active) {
+                    this._scope = effectScope(true);
+                }
+
                 // 包装在 effect 中，这样状态变化时会重新渲染
-                this._effect = effect(() => {
-                    if (!this._mounted || !this._renderFn) return;
+                this._effect = this._scope.run(() => effect(() => {
+                    if (!this._mounted || !this._renderFn) {
+                        this._renderSkipped = true;
+                        return;
+                    }
+                    this._renderSkipped = false;
 
                     const prevStates = currentComponentStates;
                     const prevIndex = currentStateIndex;
+                    const prevRenderingComponent = currentRenderingComponent;
 
                     // 每次重新渲染时，重置索引（关键！）
                     currentComponentStates = this._states;
@@ -1343,22 +3751,29 @@
 
                     try {
                         // 设置当前渲染组件（用于子组件获取父组件信息）
-                        const prevRenderingComponent = currentRenderingComponent;
                         currentRenderingComponent = this;
 
                         // 调用渲染函数获取新模板（不传入 props，因为已经在 setup 时通过闭包捕获）
-                        const result = this._renderFn();
+                        // 渲染期间首次创建的计算属性、订阅等同样归属于组件作用域
+                        const result = this._scope.run(() => this._renderFn());
 
                         if (result instanceof TemplateResult) {
                             render(result, this._container);
                         }
-
-                        currentRenderingComponent = prevRenderingComponent;
+                    } catch (err) {
+                        // 渲染出错时保留上一次的 DOM，错误交给错误边界处理
+                        handleError(err, this, 'render');
                     } finally {
+                        currentRenderingComponent = prevRenderingComponent;
                         currentComponentStates = prevStates;
                         currentStateIndex = prevIndex;
                     }
-                });
+                }, { lazy: true }));
+
+                // 记录所属组件和树深度，调度时父组件先于子组件渲染
+                this._effect.owner = this;
+                this._effect.depth = getComponentDepth(this);
+                this._effect();
             }
         }
 
@@ -1370,6 +3785,158 @@
         return tagName;
     }
 
+    /**
+     * 内置错误边界组件：捕获后代组件在 setup、渲染、侦听器中抛出的错误，并渲染 fallback
+     *
+     * 使用示例：
+     * <htmp-error-boundary fallback=${(err, reset) => html`
+     *     <p>出错了：${err.message}</p>
+     *     <button onClick=${reset}>重试</button>
+     * `}>
+     *     <risky-widget></risky-widget>
+     * </htmp-error-boundary>
+     */
+    function defineErrorBoundary() {
+        createComponent('htmp-error-boundary', function ({ fallback, slot }) {
+            const host = this;
+            const error = useState.shallow(null);
+            const reset = () => error(null);
+
+            onErrorCaptured(err => {
+                error(err);
+                // 错误可能在边界自身渲染过程中抛出（子组件挂载时），需要显式安排重新渲染
+                if (host._mounted && host._effect) {
+                    queueJob(host._effect);
+                }
+                return false;
+            });
+
+            return () => {
+                const err = error();
+                let content;
+                if (!err) {
+                    content = unsafeHTML(slot());
+                } else {
+                    content = fallback ? fallback(err, reset) : null;
+                    if (content == null) {
+                        content = String(err && err.message || err);
+                    }
+                }
+                return html`${content}`;
+            };
+        });
+    }
+
+    if (typeof customElements !== 'undefined') {
+        defineErrorBoundary();
+    }
+
+    // ========== 全局 Store ==========
+
+    /**
+     * 浅比较：基本类型用 Object.is，对象和数组比较第一层
+     */
+    function shallowEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (keysA.length !== keysB.length) return false;
+        return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+    }
+
+    /**
+     * 创建全局 Store，可在任意组件之间共享
+     * @param {object} options
+     * @param {object|Function} options.state - 初始状态（或返回初始状态的函数），会被转换为 reactive
+     * @param {object} [options.getters] - 派生值 { name: (state, getters) => value }，带缓存
+     * @param {object} [options.actions] - 方法 { name(...args) {} }，this 指向 store，执行期间的修改合并处理
+     * @returns {object} store：{ state, getters, ...actions }
+     *
+     * 使用示例：
+     * const cart = createStore({
+     *   state: { items: [] },
+     *   getters: { total: state => state.items.reduce((sum, i) => sum + i.price, 0) },
+     *   actions: { add(item) { this.state.items.push(item); } }
+     * });
+     */
+    function createStore(options = {}) {
+        const { state: stateOption = {}, getters = {}, actions = {} } = options;
+        const initialState = typeof stateOption === 'function' ? stateOption() : stateOption;
+
+        const store = {
+            state: reactive(initialState),
+            getters: {}
+        };
+
+        // getters 归属于 store 自己的独立作用域，不随创建时所在的组件或作用域一起停止
+        effectScope(true).run(() => {
+            Object.keys(getters).forEach(name => {
+                const getter = computed(() => getters[name].call(store, store.state, store.getters));
+                Object.defineProperty(store.getters, name, {
+                    get: () => getter(),
+                    enumerable: true
+                });
+            });
+        });
+
+        Object.keys(actions).forEach(name => {
+            store[name] = (...args) => runBatched(() => actions[name].apply(store, args));
+        });
+
+        return store;
+    }
+
+    /**
+     * 在组件中订阅 Store
+     * @param {object} store - createStore 创建的 store
+     * @param {Function} [selector] - (state, getters) => slice，只有选中的部分变化（浅比较）时组件才更新
+     * @returns {object|Function} 不传 selector 时返回 store 本身；否则返回一个函数，调用获取当前 slice
+     */
+    function useStore(store, selector) {
+        if (!selector) return store;
+
+        if (!currentComponentStates) {
+            return createStoreSelector(store, selector);
+        }
+
+        const index = currentStateIndex++;
+        const states = currentComponentStates;
+
+        if (!states[index]) {
+            states[index] = { func: createStoreSelector(store, selector), scoped: true };
+        }
+
+        return states[index].func;
+    }
+
+    function createStoreSelector(store, selector) {
+        const slice = shallowReactive({ value: undefined });
+
+        const update = () => {
+            if (!runner.active) return;
+            const next = runner();
+            // 只有选中的部分真正变化时才通知组件
+            if (!shallowEqual(next, slice.value)) {
+                slice.value = next;
+            }
+        };
+
+        const runner = effect(() => selector(store.state, store.getters), {
+            lazy: true,
+            scheduler: () => queueSyncJob(update)
+        });
+        slice.value = runner();
+
+        const selected = function () {
+            return slice.value;
+        };
+        selected.peek = () => untrack(selected);
+        return selected;
+    }
+
     // ========== JSX 支持 ==========
 
     /**
@@ -1459,9 +4026,7 @@
             else if (key === 'style' && typeof value === 'object') {
                 let styleStr = styleStringCache.get(value);
                 if (!styleStr) {
-                    styleStr = Object.keys(value)
-                        .map(k => `${k.replace(/[A-Z]/g, m => '-' + m.toLowerCase())}: ${value[k]}`)
-                        .join('; ');
+                    styleStr = styleObjectToString(value);
                     styleStringCache.set(value, styleStr);
                 }
                 opening += ` style="${styleStr}"`;
@@ -1534,12 +4099,49 @@
         html,
         render,
         reactive,
+        shallowReactive,
+        readonly,
+        markRaw,
+        toRaw,
+        isReactive,
+        isReadonly,
         effect,
+        stop,
+        onCleanup,
+        effectScope,
+        getCurrentScope,
+        onScopeDispose,
+        batch,
+        untrack,
         useState,
+        useRef,
+        usePersistentState,
+        signal,
+        fromObservable,
+        computed,
+        useComputed,
+        useHistory,
+        useResource,
+        watch,
+        nextTick,
         createComponent,
         unsafeHTML,
+        repeat,
+        directive,
+        noChange,
+        classMap,
+        styleMap,
+        ref,
+        live,
+        guard,
+        cache,
+        until,
         onMounted,
         onUnmounted,
+        onErrorCaptured,
+        createStore,
+        useStore,
+        config,
         h,              // JSX 转换函数（仅用于运行时 JSX，编译后的代码不需要）
         Fragment        // Fragment 组件
     };